@@ -0,0 +1,32 @@
+// bg-scenes/grid.js - статичная сетка без анимации.
+// Подключается из bg.js по data-bg-scene="grid"; рисует только на #gridCanvas
+class GridBackground extends BackgroundScene {
+    constructor(options = {}) {
+        super();
+        this.init(options);
+    }
+    
+    setup() {
+        this.gridCtx = this.gridCanvas.getContext('2d');
+        // Верхний canvas не нужен: клики уходят содержимому страницы
+        this.canvas.style.pointerEvents = 'none';
+        this.applyColors();
+        this.resizeCanvases();
+    }
+    
+    draw() {
+        this.gridCtx.clearRect(0, 0, this.width, this.height);
+        this.drawSimpleGrid();
+    }
+    
+    // Кадров нет — пауза и возобновление ничего не меняют
+    syncLoop() {}
+    
+    destroy() {
+        if (this.destroyed) return;
+        super.destroy();
+        this.canvas.style.pointerEvents = '';
+    }
+}
+
+BackgroundScenes.register('grid', GridBackground);
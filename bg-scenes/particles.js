@@ -0,0 +1,119 @@
+// bg-scenes/particles.js - поле медленно плывущих точек.
+// Подключается из bg.js по data-bg-scene="particles"; сетка остаётся статичной
+class ParticleFieldBackground extends BackgroundScene {
+    static get defaults() {
+        return Object.assign({}, super.defaults, {
+            particleDensity: 60,       // точек на мегапиксель (~125 на 1920×1080)
+            maxParticles: 400,
+            particleSpeed: 0.3,        // px за кадр
+            showGrid: true             // статичная сетка под точками
+        });
+    }
+    
+    constructor(options = {}) {
+        super();
+        this.particles = [];
+        this.init(options);
+    }
+    
+    setup() {
+        this.ctx = this.canvas.getContext('2d');
+        this.gridCtx = this.gridCanvas.getContext('2d');
+        this.canvas.style.pointerEvents = 'none';
+        this.applyColors();
+        this.resizeCanvases();
+    }
+    
+    getTargetCount() {
+        const count = Math.round(this.width * this.height / 1e6 * this.options.particleDensity);
+        return Math.max(0, Math.min(this.options.maxParticles, count));
+    }
+    
+    createParticle() {
+        const angle = Math.random() * Math.PI * 2;
+        const speed = this.options.particleSpeed * (0.3 + Math.random() * 0.7);
+        return {
+            x: Math.random() * this.width,
+            y: Math.random() * this.height,
+            vx: Math.cos(angle) * speed,
+            vy: Math.sin(angle) * speed,
+            radius: 1 + Math.random() * 1.5,
+            alpha: 0.2 + Math.random() * 0.5,
+            phase: Math.random() * Math.PI * 2
+        };
+    }
+    
+    // Точки остаются на своих местах, растягиваясь вслед за окном
+    resizeCanvases() {
+        const { width: oldWidth, height: oldHeight } = this;
+        super.resizeCanvases();
+        const sx = this.width / (oldWidth || 1);
+        const sy = this.height / (oldHeight || 1);
+        this.particles.forEach(p => {
+            p.x *= sx;
+            p.y *= sy;
+        });
+        
+        const target = this.getTargetCount();
+        while (this.particles.length < target) this.particles.push(this.createParticle());
+        this.particles.length = target;
+        this.drawGrid();
+        this.draw();
+    }
+    
+    setOptions(changes = {}) {
+        super.setOptions(changes);
+        if ('particleDensity' in changes || 'maxParticles' in changes) this.resizeCanvases();
+        else if ('showGrid' in changes) this.drawGrid();
+        return this;
+    }
+    
+    setThemeColors(colors) {
+        super.setThemeColors(colors);
+        this.drawGrid();
+    }
+    
+    drawGrid() {
+        this.gridCtx.clearRect(0, 0, this.width, this.height);
+        if (this.options.showGrid) this.drawSimpleGrid();
+    }
+    
+    animate() {
+        this.rafId = 0;
+        if (this.destroyed || this.pauseReasons.size) return;
+        
+        const { width, height } = this;
+        this.particles.forEach(p => {
+            p.x += p.vx;
+            p.y += p.vy;
+            p.phase += 0.02;
+            // Вышедшая за край точка появляется с противоположной стороны
+            if (p.x < 0) p.x += width;
+            else if (p.x > width) p.x -= width;
+            if (p.y < 0) p.y += height;
+            else if (p.y > height) p.y -= height;
+        });
+        this.draw();
+        this.rafId = requestAnimationFrame(this.frame);
+    }
+    
+    draw() {
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        this.particles.forEach(p => {
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, p.radius, 0, Math.PI * 2);
+            ctx.fillStyle = this.rgba('primary', p.alpha * (0.7 + 0.3 * Math.sin(p.phase)));
+            ctx.fill();
+        });
+    }
+    
+    destroy() {
+        if (this.destroyed) return;
+        super.destroy();
+        this.particles = [];
+        this.canvas.style.pointerEvents = '';
+    }
+}
+
+BackgroundScenes.register('particles', ParticleFieldBackground);
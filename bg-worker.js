@@ -0,0 +1,73 @@
+// bg-worker.js - отрисовка фона нейросети вне основного потока.
+// Страница передаёт сюда оба canvas через transferControlToOffscreen(),
+// а потом присылает размеры окна, ввод указателя, паузы и новые параметры.
+importScripts('bg.js');
+
+// requestAnimationFrame есть не в каждом воркере
+if (typeof self.requestAnimationFrame !== 'function') {
+    self.requestAnimationFrame = callback => setTimeout(() => callback(performance.now()), 16);
+    self.cancelAnimationFrame = id => clearTimeout(id);
+}
+
+let canvases = null;
+let viewport = { width: 0, height: 0 };
+let themeColors = {};
+let network = null;
+
+class WorkerNeuralNetwork extends InteractiveNeuralNetwork {
+    init(options) {
+        this.canvas = canvases.canvas;
+        this.gridCanvas = canvases.gridCanvas;
+        this.options = Object.assign({}, InteractiveNeuralNetwork.defaults, options);
+        this.themeColors = themeColors;
+        this.initScene();
+    }
+    
+    getViewportSize() {
+        return viewport;
+    }
+    
+    // DOM остаётся на странице: частицы, курсор и вспышки рисует она
+    createBackgroundParticles() {}
+    applyInteractivity() {}
+    
+    reportStats(stats) {
+        self.postMessage({ type: 'stats', stats });
+    }
+}
+
+self.addEventListener('message', ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            canvases = { canvas: data.canvas, gridCanvas: data.gridCanvas };
+            viewport = data.viewport;
+            themeColors = data.themeColors;
+            network = new WorkerNeuralNetwork(data.options);
+            break;
+        case 'resize':
+            viewport = data.viewport;
+            network.handleResize();
+            break;
+        case 'options':
+            network.setOptions(data.options);
+            break;
+        case 'theme':
+            network.setThemeColors(data.colors);
+            break;
+        case 'pointermove':
+            network.hoverAt(data.id, data.x, data.y);
+            break;
+        case 'pointerleave':
+            network.releasePointer(data.id);
+            break;
+        case 'pointerdown':
+            network.pressAt(data.id, data.x, data.y);
+            break;
+        case 'pause':
+            network.pause();
+            break;
+        case 'resume':
+            network.resume();
+            break;
+    }
+});
@@ -1,57 +1,701 @@
 // bg.js - Интерактивная нейросеть с пульсирующей сеткой
-class InteractiveNeuralNetwork {
-constructor() {
-    this.canvas = null;
-    this.gridCanvas = null;
-    this.ctx = null;
-    this.gridCtx = null;
-    this.nodes = [];
-    this.connections = [];
-    this.particles = [];
-    this.mouse = { x: 0, y: 0, isActive: false }; // Добавляем фак активности
-    this.activationWave = null;
-    this.gridPulse = 0;
-    this.gridDistortions = [];
-    
-    this.init();
+
+// Пространственный хеш: элементы раскладываются по квадратным ячейкам,
+// поиск соседей просматривает только ячейки, которые задевает радиус
+class SpatialHash {
+    constructor(cellSize) {
+        this.cellSize = cellSize;
+        this.cells = new Map();
+    }
+    
+    clear() {
+        this.cells.clear();
+    }
+    
+    insert(item) {
+        const key = `${Math.floor(item.x / this.cellSize)},${Math.floor(item.y / this.cellSize)}`;
+        const cell = this.cells.get(key);
+        if (cell) cell.push(item);
+        else this.cells.set(key, [item]);
+    }
+    
+    // fn(item, distance) для всех элементов ближе radius к точке (x, y)
+    query(x, y, radius, fn) {
+        const size = this.cellSize;
+        const minX = Math.floor((x - radius) / size);
+        const maxX = Math.floor((x + radius) / size);
+        const minY = Math.floor((y - radius) / size);
+        const maxY = Math.floor((y + radius) / size);
+        
+        for (let cx = minX; cx <= maxX; cx++) {
+            for (let cy = minY; cy <= maxY; cy++) {
+                const cell = this.cells.get(`${cx},${cy}`);
+                if (!cell) continue;
+                for (let i = 0; i < cell.length; i++) {
+                    const item = cell[i];
+                    const distance = Math.hypot(item.x - x, item.y - y);
+                    if (distance < radius) fn(item, distance);
+                }
+            }
+        }
+    }
 }
+
+// Общая основа сцен фона: canvas на странице, размер с учётом
+// devicePixelRatio, цвета темы, пауза по видимости и настройке движения,
+// подписки и таймеры, которые снимает destroy(). Подкласс задаёт setup()
+// (контексты и первый кадр), draw() и, если сцена анимирована, animate()
+class BackgroundScene {
+    // Значения по умолчанию. Любое можно переопределить data-атрибутом на
+    // #neuralCanvas (data-color="#00d4ff"), объектом в конструкторе
+    // или позже через setOptions(); подклассы дополняют список
+    static get defaults() {
+        return {
+            color: '',                 // основной цвет; '' — из темы (--canvas-color)
+            signalColor: '',           // второй цвет; '' — --canvas-signal
+            autoStart: true,           // false — только статичный кадр до start()
+            pauseWhenHidden: true,     // пауза на скрытой вкладке и вне экрана
+            respectReducedMotion: true, // статичный кадр при «уменьшить движение»
+            maxPixelRatio: 2,          // потолок devicePixelRatio для буферов canvas
+            cellSize: 80               // шаг фоновой сетки, px
+        };
+    }
     
-    init() {
-        this.createCanvases();
-        this.createNodes(35);
-        this.createConnections();
-        this.initEventListeners();
-        this.animate();
-        this.createBackgroundParticles(25);
+    constructor() {
+        this.canvas = null;
+        this.gridCanvas = null;
+        this.ctx = null;
+        this.gridCtx = null;
+        // Логический размер в CSS-пикселях; буферы canvas больше в pixelRatio раз
+        this.width = 0;
+        this.height = 0;
+        this.pixelRatio = 1;
+        this.options = {};
+        this.rgb = {};
+        this.themeColors = {};      // токены --canvas-* текущей темы страницы
+        // Жизненный цикл: причины паузы ('manual', 'hidden', 'offscreen', 'motion'),
+        // id кадра, подписки и таймеры — всё, что должен убрать destroy()
+        this.pauseReasons = new Set(['manual']);
+        this.rafId = 0;
+        this.listeners = [];
+        this.timers = new Set();
+        this.observer = null;
+        this.destroyed = false;
+        this.frame = () => this.animate();
     }
     
-    createCanvases() {
-        // Основной canvas для нейросети
+    init(options) {
         this.canvas = document.getElementById('neuralCanvas');
-        this.ctx = this.canvas.getContext('2d');
-        
-        // Canvas для сетки
         this.gridCanvas = document.getElementById('gridCanvas');
-        this.gridCtx = this.gridCanvas.getContext('2d');
-        
+        // Приоритет: явные параметры > адрес > data-атрибуты > значения по умолчанию
+        this.options = Object.assign({}, this.constructor.defaults, this.readDataOptions(),
+            this.readUrlOptions(), options);
+        this.themeColors = this.readThemeColors();
+        this.setup();
+        this.listen(document, 'dm:theme-change', () => this.setThemeColors(this.readThemeColors()));
+        this.listen(window, 'resize', () => this.handleResize());
+        this.initVisibilityTracking();
+        this.initMotionPreference();
+        if (this.options.autoStart) this.start();
+    }
+    
+    setup() {}
+    
+    // Параметры из адреса страницы; сцене без таких параметров нечего читать
+    readUrlOptions() {
+        return {};
+    }
+    
+    draw() {}
+    
+    // Статичная сцена обходится без animate(): цикл не запускается
+    animate() {
+        this.rafId = 0;
+    }
+    
+    // Пары [canvas, контекст], которые сцена реально использует
+    layers() {
+        return [[this.canvas, this.ctx], [this.gridCanvas, this.gridCtx]].filter(([, ctx]) => ctx);
+    }
+    
+    handleResize() {
         this.resizeCanvases();
-        window.addEventListener('resize', () => this.resizeCanvases());
     }
     
+    setOptions(changes = {}) {
+        const previous = this.options;
+        this.options = Object.assign({}, previous, changes);
+        const changed = key => previous[key] !== this.options[key];
+        
+        if (changed('color') || changed('signalColor')) this.applyColors();
+        if (changed('maxPixelRatio')) this.resizeCanvases();
+        this.draw();
+        return this;
+    }
+    
+    // --- Жизненный цикл ---
+    
+    start() {
+        return this.resume('manual');
+    }
+    
+    // Без аргумента — ручная пауза; 'hidden', 'offscreen' и 'motion' ставит сама сцена
+    pause(reason = 'manual') {
+        if (this.destroyed) return this;
+        this.pauseReasons.add(reason);
+        this.syncLoop();
+        return this;
+    }
+    
+    // Цикл продолжится, только когда сняты все причины паузы:
+    // resume() на скрытой вкладке запустит анимацию при возвращении на неё
+    resume(reason = 'manual') {
+        if (this.destroyed) return this;
+        this.pauseReasons.delete(reason);
+        this.syncLoop();
+        return this;
+    }
+    
+    syncLoop() {
+        const shouldRun = !this.pauseReasons.size && !this.destroyed;
+        if (shouldRun && !this.rafId) {
+            this.rafId = requestAnimationFrame(this.frame);
+        } else if (!shouldRun && this.rafId) {
+            cancelAnimationFrame(this.rafId);
+            this.rafId = 0;
+        }
+    }
+    
+    isRunning() {
+        return this.rafId !== 0;
+    }
+    
+    destroy() {
+        if (this.destroyed) return;
+        this.pause();
+        this.destroyed = true;
+        
+        this.listeners.forEach(({ target, type, handler, options }) => {
+            target.removeEventListener(type, handler, options);
+        });
+        this.listeners = [];
+        if (this.observer) {
+            this.observer.disconnect();
+            this.observer = null;
+        }
+        this.timers.forEach(id => clearTimeout(id));
+        this.timers.clear();
+        this.layers().forEach(([, ctx]) => ctx.clearRect(0, 0, this.width, this.height));
+    }
+    
+    // Подписка, которую destroy() снимет тем же обработчиком
+    listen(target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        this.listeners.push({ target, type, handler, options });
+    }
+    
+    later(fn, delay) {
+        const id = setTimeout(() => {
+            this.timers.delete(id);
+            fn();
+        }, delay);
+        this.timers.add(id);
+        return id;
+    }
+    
+    // Настройка движения общая с остальной страницей (DM.motion из scripts.js);
+    // без неё — напрямую системный prefers-reduced-motion
+    initMotionPreference() {
+        if (!this.options.respectReducedMotion) return;
+        
+        const apply = reduced => {
+            if (reduced) this.pause('motion');
+            else this.resume('motion');
+        };
+        const motion = window.DM && window.DM.motion;
+        if (motion) {
+            this.listen(document, 'dm:motion-change', e => apply(e.detail.reduced));
+            apply(motion.reduced());
+        } else if (window.matchMedia) {
+            const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+            if (query.addEventListener) this.listen(query, 'change', e => apply(e.matches));
+            apply(query.matches);
+        }
+    }
+    
+    initVisibilityTracking() {
+        if (!this.options.pauseWhenHidden) return;
+        
+        const onVisibility = () => {
+            if (document.hidden) this.pause('hidden');
+            else this.resume('hidden');
+        };
+        this.listen(document, 'visibilitychange', onVisibility);
+        if (document.hidden) this.pauseReasons.add('hidden');
+        
+        if ('IntersectionObserver' in window) {
+            this.observer = new IntersectionObserver(entries => {
+                const entry = entries[entries.length - 1];
+                if (entry.isIntersecting) this.resume('offscreen');
+                else this.pause('offscreen');
+            });
+            this.observer.observe(this.canvas);
+        }
+    }
+    
+    // --- Параметры, цвета и размеры ---
+    
+    readDataOptions() {
+        const defaults = this.constructor.defaults;
+        const data = this.canvas.dataset;
+        const options = {};
+        Object.keys(defaults).forEach(key => {
+            if (data[key] === undefined) return;
+            const raw = data[key].trim();
+            if (typeof defaults[key] === 'number') {
+                const value = parseFloat(raw);
+                if (!isNaN(value)) options[key] = value;
+            } else if (typeof defaults[key] === 'boolean') {
+                options[key] = raw !== 'false' && raw !== '0';
+            } else if (raw) {
+                options[key] = raw;
+            }
+        });
+        return options;
+    }
+    
+    // '#6b61ff', '#fff', 'rgb(107, 97, 255)' или '107, 97, 255' -> '107, 97, 255'
+    parseColor(value, fallback) {
+        const str = String(value || '').trim();
+        let m = str.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+        if (m) {
+            const hex = m[1].length === 3 ? m[1].replace(/./g, c => c + c) : m[1];
+            return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16)).join(', ');
+        }
+        m = str.match(/^(?:rgba?\()?\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})/i);
+        if (m) return [m[1], m[2], m[3]].map(n => Math.min(255, parseInt(n, 10))).join(', ');
+        return fallback;
+    }
+    
+    // Явный цвет из параметров важнее цвета темы
+    applyColors() {
+        this.rgb.primary = this.parseColor(this.options.color || this.themeColors.color, '107, 97, 255');
+        this.rgb.signal = this.parseColor(this.options.signalColor || this.themeColors.signalColor, '255, 255, 255');
+    }
+    
+    // Цвета фона — те же CSS-токены, что у остальной страницы
+    readThemeColors() {
+        const style = getComputedStyle(document.documentElement);
+        return {
+            color: style.getPropertyValue('--canvas-color').trim(),
+            signalColor: style.getPropertyValue('--canvas-signal').trim()
+        };
+    }
+    
+    // Перекраска на лету, в том числе на паузе
+    setThemeColors(colors) {
+        this.themeColors = colors;
+        this.applyColors();
+        this.draw();
+    }
+    
+    rgba(name, alpha) {
+        return `rgba(${this.rgb[name]}, ${alpha})`;
+    }
+    
+    // В воркере окна нет — размер приходит сообщением
+    getViewportSize() {
+        return {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            pixelRatio: window.devicePixelRatio || 1
+        };
+    }
+    
+    // Буферы в физических пикселях экрана (не больше maxPixelRatio),
+    // а рисование — в CSS-пикселях через масштаб контекста
     resizeCanvases() {
-        this.canvas.width = window.innerWidth;
-        this.canvas.height = window.innerHeight;
-        this.gridCanvas.width = window.innerWidth;
-        this.gridCanvas.height = window.innerHeight;
+        const { width, height, pixelRatio } = this.getViewportSize();
+        this.width = width;
+        this.height = height;
+        this.pixelRatio = Math.max(1, Math.min(pixelRatio || 1, this.options.maxPixelRatio || 1));
+        
+        this.layers().forEach(([canvas, ctx]) => {
+            canvas.width = Math.round(width * this.pixelRatio);
+            canvas.height = Math.round(height * this.pixelRatio);
+            ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        });
+        this.draw();
+    }
+    
+    // Сетка фона: вертикали, горизонтали и точки пересечений с шагом cellSize
+    drawSimpleGrid(ctx = this.gridCtx) {
+        const width = this.width;
+        const height = this.height;
+        const cellSize = this.options.cellSize;
+        
+        // Вертикальные линии
+        ctx.strokeStyle = this.rgba('primary', 0.2);
+        ctx.lineWidth = 1;
+        for (let x = 0; x <= width; x += cellSize) {
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+        }
+        
+        // Горизонтальные линии
+        for (let y = 0; y <= height; y += cellSize) {
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(width, y);
+            ctx.stroke();
+        }
+        
+        // Точки пересечений
+        ctx.fillStyle = this.rgba('primary', 0.4);
+        for (let x = 0; x <= width; x += cellSize) {
+            for (let y = 0; y <= height; y += cellSize) {
+                ctx.beginPath();
+                ctx.arc(x, y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            }
+        }
+    }
+}
+
+// Сцена «network»: интерактивная нейросеть с пульсирующей сеткой
+class InteractiveNeuralNetwork extends BackgroundScene {
+    // data-node-count="50", data-worker="true" и т. д. — как у BackgroundScene
+    static get defaults() {
+        return Object.assign({}, super.defaults, {
+            nodeCount: 0,              // 0 — считать по площади окна через nodeDensity
+            nodeDensity: 17,           // узлов на мегапиксель (~35 на 1920×1080)
+            minNodes: 15,
+            maxNodes: 200,
+            driftSpeed: 0.15,          // px за кадр, 0 — неподвижные узлы
+            connectionDistance: 250,   // px, дальше узлы не соединяются
+            firingProbability: 0.002,  // шанс спонтанной активации узла за кадр
+            particleCount: 25,         // DOM-частицы в .particles-container
+            interactive: true,         // реакция на мышь и касания
+            hoverRadius: 80,
+            clickRadius: 150,
+            worker: false,             // рисовать в Web Worker через OffscreenCanvas
+            workerUrl: 'bg-worker.js',
+            cacheGrid: true,           // статичная сетка растрируется один раз
+            debug: false,              // панель со временем кадра; также ?debug=bg в адресе
+            adaptiveQuality: true,     // снижать качество, когда кадр не укладывается в бюджет
+            frameBudget: 8             // мс работы на кадр, дальше — ступенью ниже
+        });
+    }
+    
+    // Ступени качества от лучшей к худшей. Регулятор в governQuality()
+    // переходит на соседнюю, глядя на скользящее среднее времени кадра
+    static get qualityTiers() {
+        return [
+            { name: 'высокое', nodeScale: 1, gradients: true, frameInterval: 0 },
+            { name: 'среднее', nodeScale: 0.75, gradients: true, frameInterval: 0 },
+            { name: 'низкое', nodeScale: 0.5, gradients: false, frameInterval: 0 },
+            { name: 'минимальное', nodeScale: 0.35, gradients: false, frameInterval: 1000 / 30 }
+        ];
+    }
+
+    constructor(options = {}) {
+        super();
+        this.gridLayer = null;      // кеш статичной сетки
+        this.gridDirty = true;
+        this.stats = { frameTime: 0, fps: 0, lastFrame: 0, reportedAt: 0 };
+        // upDelay растёт, если повышение качества быстро откатилось
+        this.quality = { tier: 0, changedAt: 0, raisedAt: 0, upDelay: 5000 };
+        this.debugPanel = null;
+        this.sceneFallback = null;  // сцена, вместо которой пришлось запустить эту
+        this.nodes = [];
+        this.connections = [];
+        this.connectionIndex = new Map(); // 'idA:idB' -> связь
+        this.spatialHash = new SpatialHash(250);
+        this.nextNodeId = 0;
+        this.topologyCursor = 0;
+        this.resizeTimer = 0;
+        this.particles = [];
+        // Указатели над фоном по pointerId: мышь, перо, каждый палец.
+        // strength плавно идёт к 1 у активного указателя и к 0 у ушедшего
+        this.pointers = new Map();
+        this.activationWave = null;
+        this.gridPulse = 0;
+        this.gridDistortions = [];
+        this.pulses = new Set();
+        // В режиме воркера симуляция и отрисовка живут в нём, здесь — только DOM
+        this.worker = null;
+        this.remoteRunning = false;
+
+        this.init(options);
+    }
+    
+    // Общую подготовку делает BackgroundScene.init(), здесь — только своё:
+    // сцена в воркере или на основном потоке, указатели и частицы
+    setup() {
+        if (!this.startWorker()) this.initScene();
+        this.initEventListeners();
+        this.applyInteractivity();
+        this.createBackgroundParticles(this.options.particleCount);
+    }
+    
+    // Сцена на основном потоке: контексты, сеть и первый кадр
+    initScene() {
+        this.createCanvases();
+        this.applyColors();
+        this.rebuildNetwork();
         this.drawGrid();
         this.drawNetwork();
     }
     
+    // --- Рендер в воркере ---
+    
+    startWorker() {
+        if (!this.options.worker || typeof Worker !== 'function' ||
+            !('transferControlToOffscreen' in this.canvas)) return false;
+        
+        try {
+            this.worker = new Worker(this.options.workerUrl);
+        } catch (error) {
+            return false;
+        }
+        // Ошибка загрузки скрипта или 2d-контекста в воркере — рисуем здесь
+        this.worker.addEventListener('error', () => this.fallbackToMainThread());
+        this.worker.addEventListener('message', ({ data }) => {
+            if (data.type === 'stats' && this.options.debug) this.renderDebugPanel(data.stats);
+        });
+        
+        const canvas = this.canvas.transferControlToOffscreen();
+        const gridCanvas = this.gridCanvas.transferControlToOffscreen();
+        this.post('init', {
+            canvas,
+            gridCanvas,
+            viewport: this.getViewportSize(),
+            themeColors: this.themeColors,
+            options: Object.assign({}, this.options, { autoStart: false, pauseWhenHidden: false })
+        }, [canvas, gridCanvas]);
+        return true;
+    }
+    
+    post(type, data = {}, transfer = []) {
+        this.worker.postMessage(Object.assign({ type }, data), transfer);
+    }
+    
+    fallbackToMainThread() {
+        if (!this.worker || this.destroyed) return;
+        this.worker.terminate();
+        this.worker = null;
+        this.remoteRunning = false;
+        this.replaceCanvases();
+        this.initScene();
+        this.syncLoop();
+    }
+    
+    // Отданный воркеру canvas уже не получит свой 2d-контекст,
+    // поэтому элементы меняются на чистые копии вместе с подписками
+    replaceCanvases() {
+        const swap = old => {
+            const fresh = old.cloneNode(false);
+            old.replaceWith(fresh);
+            this.listeners.forEach(entry => {
+                if (entry.target !== old) return;
+                old.removeEventListener(entry.type, entry.handler, entry.options);
+                fresh.addEventListener(entry.type, entry.handler, entry.options);
+                entry.target = fresh;
+            });
+            if (this.observer) {
+                this.observer.unobserve(old);
+                this.observer.observe(fresh);
+            }
+            return fresh;
+        };
+        this.canvas = swap(this.canvas);
+        this.gridCanvas = swap(this.gridCanvas);
+    }
+    
+    syncLoop() {
+        if (!this.worker) {
+            super.syncLoop();
+            return;
+        }
+        const shouldRun = !this.pauseReasons.size && !this.destroyed;
+        if (shouldRun !== this.remoteRunning) {
+            this.remoteRunning = shouldRun;
+            this.post(shouldRun ? 'resume' : 'pause');
+        }
+    }
+    
+    isRunning() {
+        return this.worker ? this.remoteRunning : super.isRunning();
+    }
+    
+    destroy() {
+        if (this.destroyed) return;
+        this.particles.forEach(particle => particle.remove());
+        this.particles = [];
+        this.pulses.forEach(pulse => pulse.remove());
+        this.pulses.clear();
+        this.renderDebugPanel(null);
+        
+        const worker = this.worker;
+        if (worker) {
+            worker.terminate();
+            this.worker = null;
+            this.remoteRunning = false;
+        }
+        super.destroy();
+        if (worker) {
+            this.replaceCanvases();
+            return;
+        }
+        
+        this.nodes = [];
+        this.connections = [];
+        this.connectionIndex.clear();
+        this.spatialHash.clear();
+        this.gridDistortions = [];
+        this.pointers.clear();
+        this.activationWave = null;
+        this.gridLayer = null;
+        this.canvas.style.pointerEvents = '';
+        this.canvas.style.cursor = '';
+    }
+    
+    // ?debug=bg включает отладочную панель без правки разметки
+    readUrlOptions() {
+        const params = new URLSearchParams(window.location.search);
+        return params.getAll('debug').includes('bg') ? { debug: true } : {};
+    }
+    
+    setOptions(changes = {}) {
+        const previous = this.options;
+        this.options = Object.assign({}, previous, changes);
+        const changed = key => previous[key] !== this.options[key];
+        
+        if (changed('particleCount')) this.createBackgroundParticles(this.options.particleCount);
+        if (changed('interactive')) this.applyInteractivity();
+        if (changed('debug') && !this.options.debug) this.renderDebugPanel(null);
+        if (this.worker) {
+            this.post('options', { options: changes });
+            return this;
+        }
+        
+        if (!this.options.interactive) this.pointers.clear();
+        if (changed('color') || changed('signalColor')) this.applyColors();
+        if (changed('cellSize') || changed('cacheGrid')) this.gridDirty = true;
+        if (changed('maxPixelRatio')) this.resizeCanvases();
+        if (changed('adaptiveQuality') && !this.options.adaptiveQuality) this.setQualityTier(0);
+        if (['nodeCount', 'nodeDensity', 'minNodes', 'maxNodes', 'connectionDistance'].some(changed)) {
+            this.rebuildNetwork();
+        }
+        // driftSpeed, firingProbability и радиусы читаются на каждом кадре
+        
+        this.drawGrid();
+        this.drawNetwork();
+        return this;
+    }
+    
+    applyColors() {
+        super.applyColors();
+        this.gridDirty = true;
+    }
+    
+    setThemeColors(colors) {
+        if (this.worker) {
+            this.themeColors = colors;
+            this.post('theme', { colors });
+            return;
+        }
+        super.setThemeColors(colors);
+    }
+    
+    resizeCanvases() {
+        this.gridDirty = true;
+        super.resizeCanvases();
+    }
+    
+    draw() {
+        this.drawGrid();
+        this.drawNetwork();
+    }
+    
+    applyInteractivity() {
+        // Неинтерактивный фон пропускает клики к содержимому страницы
+        this.canvas.style.pointerEvents = this.options.interactive ? '' : 'none';
+        this.canvas.style.cursor = this.options.interactive ? '' : 'default';
+    }
+    
+    rebuildNetwork() {
+        this.nodes = [];
+        this.createNodes(this.getTargetNodeCount());
+        this.createConnections();
+    }
+    
+    // Явный nodeCount или плотность на площадь окна в заданных пределах
+    getTargetNodeCount() {
+        const { nodeCount, nodeDensity, minNodes, maxNodes } = this.options;
+        const scale = this.getQualityTier().nodeScale;
+        if (nodeCount > 0) return Math.max(1, Math.round(nodeCount * scale));
+        const megapixels = this.width * this.height / 1e6;
+        const count = Math.max(minNodes, Math.min(maxNodes, Math.round(megapixels * nodeDensity)));
+        return Math.max(1, Math.round(count * scale));
+    }
+    
+    createCanvases() {
+        // Основной canvas для нейросети и canvas для сетки
+        this.ctx = this.canvas.getContext('2d');
+        this.gridCtx = this.gridCanvas.getContext('2d');
+        this.resizeCanvases();
+    }
+    
+    handleResize() {
+        if (this.worker) {
+            this.post('resize', { viewport: this.getViewportSize() });
+            return;
+        }
+        const viewport = this.getViewportSize();
+        // Узлы растягиваются вслед за окном сразу, а количество и связи
+        // пересчитываются, когда изменение размера закончилось
+        const sx = viewport.width / (this.width || 1);
+        const sy = viewport.height / (this.height || 1);
+        this.nodes.forEach(node => {
+            node.x *= sx;
+            node.y *= sy;
+        });
+        this.indexNodes();
+        this.resizeCanvases();
+        
+        if (this.resizeTimer) {
+            clearTimeout(this.resizeTimer);
+            this.timers.delete(this.resizeTimer);
+        }
+        this.resizeTimer = this.later(() => {
+            this.resizeTimer = 0;
+            this.regenerateTopology();
+        }, 200);
+    }
+    
+    // Добирает или убирает узлы под новую площадь, сохраняя остальные на местах
+    regenerateTopology() {
+        const target = this.getTargetNodeCount();
+        if (this.nodes.length < target) {
+            this.createNodes(target - this.nodes.length);
+        } else {
+            this.nodes.length = target;
+        }
+        this.createConnections();
+    }
+    
     createNodes(count) {
         for (let i = 0; i < count; i++) {
+            const angle = Math.random() * Math.PI * 2;
             this.nodes.push({
-                x: Math.random() * this.canvas.width,
-                y: Math.random() * this.canvas.height,
+                id: this.nextNodeId++,
+                x: Math.random() * this.width,
+                y: Math.random() * this.height,
+                vx: Math.cos(angle),
+                vy: Math.sin(angle),
                 size: Math.random() * 4 + 2,
                 baseSize: Math.random() * 4 + 2,
                 pulse: Math.random() * Math.PI * 2,
@@ -61,33 +705,114 @@ constructor() {
         }
     }
     
+    // Полная сборка связей через хеш: каждый узел смотрит только соседние ячейки
     createConnections() {
-        for (let i = 0; i < this.nodes.length; i++) {
-            for (let j = i + 1; j < this.nodes.length; j++) {
-                const nodeA = this.nodes[i];
-                const nodeB = this.nodes[j];
-                const distance = this.getDistance(nodeA, nodeB);
-                
-                if (distance < 250) {
-                    const connection = {
-                        nodeA: nodeA,
-                        nodeB: nodeB,
-                        distance: distance,
-                        strength: 1 - (distance / 250),
-                        active: false,
-                        progress: 0
-                    };
-                    
-                    this.connections.push(connection);
-                    nodeA.connections.push(connection);
-                    nodeB.connections.push(connection);
-                }
+        this.connections = [];
+        this.connectionIndex.clear();
+        this.nodes.forEach(node => { node.connections = []; });
+        this.indexNodes();
+        this.nodes.forEach(node => this.linkNeighbours(node));
+        this.topologyCursor = 0;
+    }
+    
+    indexNodes() {
+        const distance = this.options.connectionDistance;
+        if (this.spatialHash.cellSize !== distance) {
+            this.spatialHash = new SpatialHash(distance);
+        }
+        this.spatialHash.clear();
+        this.nodes.forEach(node => this.spatialHash.insert(node));
+    }
+    
+    linkNeighbours(node) {
+        this.spatialHash.query(node.x, node.y, this.options.connectionDistance, other => {
+            if (other !== node) this.addConnection(node, other);
+        });
+    }
+    
+    addConnection(nodeA, nodeB) {
+        if (nodeA.id > nodeB.id) [nodeA, nodeB] = [nodeB, nodeA];
+        const key = `${nodeA.id}:${nodeB.id}`;
+        if (this.connectionIndex.has(key)) return;
+        
+        const distance = this.getDistance(nodeA, nodeB);
+        const connection = {
+            key: key,
+            nodeA: nodeA,
+            nodeB: nodeB,
+            distance: distance,
+            strength: 1 - (distance / this.options.connectionDistance),
+            active: false,
+            progress: 0
+        };
+        
+        this.connectionIndex.set(key, connection);
+        this.connections.push(connection);
+        nodeA.connections.push(connection);
+        nodeB.connections.push(connection);
+    }
+    
+    // Дрейф узлов с отражением от краёв окна
+    moveNodes() {
+        const speed = this.options.driftSpeed;
+        if (!speed) return false;
+        const width = this.width;
+        const height = this.height;
+        
+        this.nodes.forEach(node => {
+            node.x += node.vx * speed;
+            node.y += node.vy * speed;
+            if (node.x < 0 || node.x > width) {
+                node.vx = -node.vx;
+                node.x = Math.max(0, Math.min(width, node.x));
+            }
+            if (node.y < 0 || node.y > height) {
+                node.vy = -node.vy;
+                node.y = Math.max(0, Math.min(height, node.y));
+            }
+        });
+        return true;
+    }
+    
+    // Инкрементальное обновление топологии за кадр: длины существующих связей
+    // пересчитываются, разошедшиеся узлы теряют связь, а новых соседей ищет
+    // только очередная порция узлов — полный обход растягивается на несколько кадров
+    updateTopology() {
+        const maxDistance = this.options.connectionDistance;
+        this.indexNodes();
+        
+        const kept = [];
+        this.connections.forEach(conn => {
+            conn.distance = this.getDistance(conn.nodeA, conn.nodeB);
+            if (conn.distance < maxDistance) {
+                conn.strength = 1 - (conn.distance / maxDistance);
+                kept.push(conn);
+            } else {
+                this.connectionIndex.delete(conn.key);
+                [conn.nodeA, conn.nodeB].forEach(node => {
+                    const index = node.connections.indexOf(conn);
+                    if (index !== -1) node.connections.splice(index, 1);
+                });
             }
+        });
+        this.connections = kept;
+        
+        const count = this.nodes.length;
+        if (!count) return;
+        const batch = Math.ceil(count / 8); // каждый узел раз в 8 кадров
+        for (let i = 0; i < batch; i++) {
+            this.topologyCursor = (this.topologyCursor + 1) % count;
+            this.linkNeighbours(this.nodes[this.topologyCursor]);
         }
     }
     
     createBackgroundParticles(count) {
         const container = document.querySelector('.particles-container');
+        if (!container) return;
+        
+        // Пересоздаём с нуля, чтобы setOptions() мог менять количество
+        this.particles.forEach(particle => particle.remove());
+        this.particles = [];
         
         for (let i = 0; i < count; i++) {
             const particle = document.createElement('div');
@@ -104,57 +829,95 @@ constructor() {
             particle.style.animationDuration = `${duration}s`;
             
             container.appendChild(particle);
+            this.particles.push(particle);
         }
     }
     
-  initEventListeners() {
-    // Взаимодействие с мышью
-    this.canvas.addEventListener('mousemove', (e) => {
-        const rect = this.canvas.getBoundingClientRect();
-        this.mouse.x = e.clientX - rect.left;
-        this.mouse.y = e.clientY - rect.top;
-        this.handleMouseMove();
-    });
-        
-        this.canvas.addEventListener('click', (e) => {
-            this.createActivationWave(e.clientX, e.clientY);
-            this.activateNearbyNodes(e.clientX, e.clientY, 150);
-            this.createGridDistortion(e.clientX, e.clientY);
-        });
+    // Pointer Events: мышь, перо и каждый палец по отдельности. Слушатели
+    // пассивные и ничего не отменяют, поэтому жест на фоне прокручивает страницу
+    initEventListeners() {
+        const passive = { passive: true };
+        const position = e => {
+            const rect = this.canvas.getBoundingClientRect();
+            return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+        };
         
-        // Скрываем эффект когда мышь ушла с canvas
-        this.canvas.addEventListener('mouseleave', () => {
-            this.mouse.x = -100;
-            this.mouse.y = -100;
-        });
+        this.listen(this.canvas, 'pointermove', e => {
+            if (!this.options.interactive) return;
+            const { x, y } = position(e);
+            this.pointerMove(e.pointerId, x, y);
+        }, passive);
         
-        // Касание для мобильных устройств
-        this.canvas.addEventListener('touchmove', (e) => {
-            e.preventDefault();
-            this.mouse.x = e.touches[0].clientX;
-            this.mouse.y = e.touches[0].clientY;
-            this.handleMouseMove();
-        });
+        this.listen(this.canvas, 'pointerdown', e => {
+            if (!this.options.interactive) return;
+            if (e.pointerType === 'mouse' && e.button !== 0) return;
+            const { x, y } = position(e);
+            this.pointerDown(e.pointerId, x, y);
+        }, passive);
         
-        this.canvas.addEventListener('touchstart', (e) => {
-            e.preventDefault();
-            this.createActivationWave(e.touches[0].clientX, e.touches[0].clientY);
-            this.activateNearbyNodes(e.touches[0].clientX, e.touches[0].clientY, 150);
-            this.createGridDistortion(e.touches[0].clientX, e.touches[0].clientY);
+        // Палец поднят, указатель ушёл с canvas или браузер забрал жест
+        // под прокрутку — эффект под ним затухает
+        ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+            this.listen(this.canvas, type, e => {
+                if (type === 'pointerup' && e.pointerType === 'mouse') return;
+                this.pointerLeave(e.pointerId);
+            }, passive);
         });
     }
     
-    handleMouseMove() {
+    // Ввод указателя: обрабатывается на месте или уходит сообщением в воркер
+    pointerMove(id, x, y) {
+        if (this.worker) this.post('pointermove', { id, x, y });
+        else this.hoverAt(id, x, y);
+    }
+    
+    pointerDown(id, x, y) {
+        this.createVisualPulse(x, y);
+        if (this.worker) this.post('pointerdown', { id, x, y });
+        else this.pressAt(id, x, y);
+    }
+    
+    pointerLeave(id) {
+        if (this.worker) this.post('pointerleave', { id });
+        else this.releasePointer(id);
+    }
+    
+    hoverAt(id, x, y) {
+        const pointer = this.pointers.get(id);
+        if (pointer) {
+            pointer.x = x;
+            pointer.y = y;
+            pointer.active = true;
+        } else {
+            this.pointers.set(id, { x, y, active: true, strength: 0 });
+        }
+        this.handlePointerMove(x, y);
+    }
+    
+    pressAt(id, x, y) {
+        this.hoverAt(id, x, y);
+        this.activateAt(x, y);
+    }
+    
+    releasePointer(id) {
+        const pointer = this.pointers.get(id);
+        if (pointer) pointer.active = false;
+    }
+    
+    activateAt(x, y) {
+        this.createActivationWave(x, y);
+        this.activateNearbyNodes(x, y, this.options.clickRadius);
+        this.createGridDistortion(x, y);
+    }
+    
+    handlePointerMove(x, y) {
         // Активация узлов при наведении
-        this.nodes.forEach(node => {
-            const distance = this.getDistance(node, this.mouse);
-            if (distance < 80) {
-                node.activation = Math.min(node.activation + 0.3, 1);
-            }
+        this.spatialHash.query(x, y, this.options.hoverRadius, node => {
+            node.activation = Math.min(node.activation + 0.3, 1);
         });
         
         // Создаем легкое искажение сетки под курсором
-        this.createGridDistortion(this.mouse.x, this.mouse.y, 0.3);
+        this.createGridDistortion(x, y, 0.3);
     }
     
     createActivationWave(x, y) {
@@ -165,8 +928,6 @@ constructor() {
             maxRadius: 300,
             speed: 8
         };
-        
-        this.createVisualPulse(x, y);
     }
     
     createVisualPulse(x, y) {
@@ -175,9 +936,11 @@ constructor() {
         pulse.style.left = `${x}px`;
         pulse.style.top = `${y}px`;
         document.querySelector('.background-container').appendChild(pulse);
+        this.pulses.add(pulse);
         
-        setTimeout(() => {
+        this.later(() => {
             pulse.remove();
+            this.pulses.delete(pulse);
         }, 2000);
     }
     
@@ -194,20 +957,17 @@ constructor() {
     }
     
     activateNearbyNodes(x, y, radius) {
-        this.nodes.forEach(node => {
-            const distance = this.getDistance(node, {x, y});
-            if (distance < radius) {
-                node.activation = 1;
+        this.spatialHash.query(x, y, radius, node => {
+            node.activation = 1;
+            
+            node.connections.forEach(conn => {
+                conn.active = true;
+                conn.progress = 0;
                 
-                node.connections.forEach(conn => {
-                    conn.active = true;
-                    conn.progress = 0;
-                    
-                    setTimeout(() => {
-                        conn.active = false;
-                    }, 1000);
-                });
-            }
+                this.later(() => {
+                    conn.active = false;
+                }, 1000);
+            });
         });
     }
     
@@ -218,104 +978,93 @@ constructor() {
     }
     
     drawGrid() {
-    const ctx = this.gridCtx;
-    const width = this.gridCanvas.width;
-    const height = this.gridCanvas.height;
-    
-    ctx.clearRect(0, 0, width, height);
-    
-    // Отладочная информация
-    
-    // Рисуем простую сетку сначала
-    this.drawSimpleGrid();
-    
-    // Если мышь активна, применяем distortion
-    if (this.mouse.isActive) {
-        this.applyMouseDistortion();
+        const ctx = this.gridCtx;
+        const width = this.width;
+        const height = this.height;
+        
+        ctx.clearRect(0, 0, width, height);
+        
+        // Статичная сетка: из кеша или, без кеша, заново на каждом кадре
+        if (this.options.cacheGrid) {
+            if (this.gridDirty || !this.gridLayer) this.renderGridLayer();
+            ctx.drawImage(this.gridLayer, 0, 0, width, height);
+        } else {
+            this.drawSimpleGrid(ctx);
+        }
+        
+        // Искажение под каждым указателем, пока оно не затухло
+        this.pointers.forEach(pointer => this.applyPointerDistortion(pointer));
+        
+        this.applyGridDistortions();
     }
-    
-    this.applyGridDistortions();
-}
 
-drawSimpleGrid() {
-    const ctx = this.gridCtx;
-    const width = this.gridCanvas.width;
-    const height = this.gridCanvas.height;
-    const cellSize = 80;
-    
-    // Вертикальные линии
-    ctx.strokeStyle = 'rgba(107, 97, 255, 0.2)';
-    ctx.lineWidth = 1;
-    for (let x = 0; x <= width; x += cellSize) {
-        ctx.beginPath();
-        ctx.moveTo(x, 0);
-        ctx.lineTo(x, height);
-        ctx.stroke();
-    }
-    
-    // Горизонтальные линии
-    for (let y = 0; y <= height; y += cellSize) {
-        ctx.beginPath();
-        ctx.moveTo(0, y);
-        ctx.lineTo(width, y);
-        ctx.stroke();
-    }
-    
-    // Точки пересечений
-    ctx.fillStyle = 'rgba(107, 97, 255, 0.4)';
-    for (let x = 0; x <= width; x += cellSize) {
-        for (let y = 0; y <= height; y += cellSize) {
-            ctx.beginPath();
-            ctx.arc(x, y, 2, 0, Math.PI * 2);
-            ctx.fill();
+    // Растр сетки под текущий размер, цвет и pixelRatio; меняется только
+    // после resizeCanvases(), applyColors() или смены cellSize
+    renderGridLayer() {
+        const width = Math.round(this.width * this.pixelRatio);
+        const height = Math.round(this.height * this.pixelRatio);
+        if (!this.gridLayer) {
+            this.gridLayer = typeof OffscreenCanvas === 'function'
+                ? new OffscreenCanvas(width, height)
+                : document.createElement('canvas');
         }
+        this.gridLayer.width = width;
+        this.gridLayer.height = height;
+        
+        const ctx = this.gridLayer.getContext('2d');
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+        ctx.clearRect(0, 0, this.width, this.height);
+        this.drawSimpleGrid(ctx);
+        this.gridDirty = false;
     }
-}
 
-applyMouseDistortion() {
-    const ctx = this.gridCtx;
-    const width = this.gridCanvas.width;
-    const height = this.gridCanvas.height;
-    const cellSize = 80;
-    const mouseX = this.mouse.x;
-    const mouseY = this.mouse.y;
-    
-    const distortionRadius = 120;
-    const maxDistortion = 20;
-    
-    // Рисуем эффект distortion поверх сетки
-    ctx.fillStyle = 'rgba(107, 97, 255, 0.1)';
-    ctx.beginPath();
-    ctx.arc(mouseX, mouseY, distortionRadius, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Искажаем точки вблизи курсора
-    ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
-    for (let x = 0; x <= width; x += cellSize) {
-        for (let y = 0; y <= height; y += cellSize) {
-            const dist = Math.sqrt(Math.pow(x - mouseX, 2) + Math.pow(y - mouseY, 2));
-            
-            if (dist < distortionRadius) {
-                const strength = 1 - (dist / distortionRadius);
-                const angle = Math.atan2(y - mouseY, x - mouseX);
-                const newX = x + Math.cos(angle) * maxDistortion * strength;
-                const newY = y + Math.sin(angle) * maxDistortion * strength;
+    applyPointerDistortion(pointer) {
+        const ctx = this.gridCtx;
+        const cellSize = this.options.cellSize;
+        const mouseX = pointer.x;
+        const mouseY = pointer.y;
+        const fade = pointer.strength;
+        
+        const distortionRadius = 120;
+        const maxDistortion = 20 * fade;
+        
+        // Рисуем эффект distortion поверх сетки
+        ctx.fillStyle = this.rgba('primary', 0.1 * fade);
+        ctx.beginPath();
+        ctx.arc(mouseX, mouseY, distortionRadius, 0, Math.PI * 2);
+        ctx.fill();
+        
+        // Искажаем точки вблизи курсора — только узлы сетки в пределах радиуса
+        const fromX = Math.max(0, Math.ceil((mouseX - distortionRadius) / cellSize) * cellSize);
+        const toX = Math.min(this.width, mouseX + distortionRadius);
+        const fromY = Math.max(0, Math.ceil((mouseY - distortionRadius) / cellSize) * cellSize);
+        const toY = Math.min(this.height, mouseY + distortionRadius);
+        ctx.fillStyle = this.rgba('signal', 0.6 * fade);
+        for (let x = fromX; x <= toX; x += cellSize) {
+            for (let y = fromY; y <= toY; y += cellSize) {
+                const dist = Math.sqrt(Math.pow(x - mouseX, 2) + Math.pow(y - mouseY, 2));
                 
-                ctx.beginPath();
-                ctx.arc(newX, newY, 3 + strength * 2, 0, Math.PI * 2);
-                ctx.fill();
+                if (dist < distortionRadius) {
+                    const strength = 1 - (dist / distortionRadius);
+                    const angle = Math.atan2(y - mouseY, x - mouseX);
+                    const newX = x + Math.cos(angle) * maxDistortion * strength;
+                    const newY = y + Math.sin(angle) * maxDistortion * strength;
+                    
+                    ctx.beginPath();
+                    ctx.arc(newX, newY, 3 + strength * 2, 0, Math.PI * 2);
+                    ctx.fill();
+                }
             }
         }
+        
+        // Рисуем круг вокруг курсора для визуализации
+        ctx.strokeStyle = this.rgba('primary', 0.3 * fade);
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(mouseX, mouseY, distortionRadius, 0, Math.PI * 2);
+        ctx.stroke();
     }
     
-    // Рисуем круг вокруг курсора для визуализации
-    ctx.strokeStyle = 'rgba(107, 97, 255, 0.3)';
-    ctx.lineWidth = 1;
-    ctx.beginPath();
-    ctx.arc(mouseX, mouseY, distortionRadius, 0, Math.PI * 2);
-    ctx.stroke();
-}
-    
     applyGridDistortions() {
         const ctx = this.gridCtx;
         
@@ -323,18 +1072,22 @@ applyMouseDistortion() {
             const progress = distortion.radius / distortion.maxRadius;
             const intensity = distortion.intensity * (1 - progress);
             
-            // Создаем градиент для искажения
-            const gradient = ctx.createRadialGradient(
-                distortion.x, distortion.y, 0,
-                distortion.x, distortion.y, distortion.radius
-            );
-            
-            gradient.addColorStop(0, `rgba(107, 97, 255, ${intensity * 0.3})`);
-            gradient.addColorStop(0.5, `rgba(107, 97, 255, ${intensity * 0.1})`);
-            gradient.addColorStop(1, 'rgba(107, 97, 255, 0)');
+            if (this.getQualityTier().gradients) {
+                // Создаем градиент для искажения
+                const gradient = ctx.createRadialGradient(
+                    distortion.x, distortion.y, 0,
+                    distortion.x, distortion.y, distortion.radius
+                );
+                
+                gradient.addColorStop(0, this.rgba('primary', intensity * 0.3));
+                gradient.addColorStop(0.5, this.rgba('primary', intensity * 0.1));
+                gradient.addColorStop(1, this.rgba('primary', 0));
+                ctx.fillStyle = gradient;
+            } else {
+                ctx.fillStyle = this.rgba('primary', intensity * 0.1);
+            }
             
             // Рисуем эффект искажения
-            ctx.fillStyle = gradient;
             ctx.beginPath();
             ctx.arc(distortion.x, distortion.y, distortion.radius, 0, Math.PI * 2);
             ctx.fill();
@@ -350,16 +1103,121 @@ applyMouseDistortion() {
     }
     
     animate() {
+        this.rafId = 0;
+        if (this.pauseReasons.size) return;
+        const start = performance.now();
+        // На минимальном качестве часть кадров пропускается
+        const interval = this.getQualityTier().frameInterval;
+        if (interval && start - this.stats.lastFrame < interval - 1) {
+            this.rafId = requestAnimationFrame(this.frame);
+            return;
+        }
         this.update();
         this.drawGrid();
         this.drawNetwork();
-        requestAnimationFrame(() => this.animate());
+        this.recordFrame(start, performance.now());
+        this.rafId = requestAnimationFrame(this.frame);
+    }
+    
+    // --- Статистика кадра и отладочная панель ---
+    
+    // Скользящие средние: время работы кадра и частота между кадрами
+    recordFrame(start, end) {
+        const stats = this.stats;
+        stats.frameTime += (end - start - stats.frameTime) * 0.1;
+        const interval = start - stats.lastFrame;
+        if (stats.lastFrame && interval < 1000) {
+            stats.fps += (1000 / interval - stats.fps) * 0.1;
+        }
+        stats.lastFrame = start;
+        this.governQuality(end);
+        
+        if (this.options.debug && end - stats.reportedAt > 500) {
+            stats.reportedAt = end;
+            this.reportStats(this.getStats());
+        }
+    }
+    
+    getStats() {
+        return [
+            ['кадр', `${this.stats.frameTime.toFixed(2)} мс`],
+            ['fps', Math.round(this.stats.fps)],
+            ['узлы', this.nodes.length],
+            ['связи', this.connections.length],
+            ['качество', this.options.adaptiveQuality
+                ? this.getQualityTier().name
+                : `${this.getQualityTier().name} (фикс.)`],
+            ['dpr', this.pixelRatio],
+            ['сетка', this.options.cacheGrid ? 'кеш' : 'каждый кадр']
+        ];
+    }
+    
+    // --- Регулятор качества ---
+    
+    getQualityTier() {
+        return InteractiveNeuralNetwork.qualityTiers[this.quality.tier];
+    }
+    
+    // Дорогой кадр дольше двух секунд — ступень вниз; большой запас
+    // дольше upDelay — ступень вверх. Быстрый откат после повышения
+    // удваивает upDelay, чтобы качество не скакало туда-обратно
+    governQuality(now) {
+        if (!this.options.adaptiveQuality) return;
+        const quality = this.quality;
+        const frameTime = this.stats.frameTime;
+        const budget = this.options.frameBudget;
+        const lowest = InteractiveNeuralNetwork.qualityTiers.length - 1;
+        
+        if (!quality.changedAt) quality.changedAt = now;
+        const elapsed = now - quality.changedAt;
+        
+        if (frameTime > budget && quality.tier < lowest && elapsed > 2000) {
+            if (quality.raisedAt && now - quality.raisedAt < 10000) {
+                quality.upDelay = Math.min(quality.upDelay * 2, 60000);
+            }
+            quality.raisedAt = 0;
+            this.setQualityTier(quality.tier + 1, now);
+        } else if (frameTime < budget * 0.4 && quality.tier > 0 && elapsed > quality.upDelay) {
+            quality.raisedAt = now;
+            this.setQualityTier(quality.tier - 1, now);
+        }
+    }
+    
+    setQualityTier(tier, now = performance.now()) {
+        if (tier === this.quality.tier) return;
+        this.quality.tier = tier;
+        this.quality.changedAt = now;
+        this.regenerateTopology();
+    }
+    
+    // Воркер переопределяет и отправляет строки странице
+    reportStats(stats) {
+        this.renderDebugPanel(stats);
+    }
+    
+    // null убирает панель; несостоявшаяся сцена дописывается последней строкой
+    renderDebugPanel(stats) {
+        if (!stats) {
+            if (this.debugPanel) this.debugPanel.remove();
+            this.debugPanel = null;
+            return;
+        }
+        if (!this.debugPanel) {
+            this.debugPanel = document.createElement('div');
+            this.debugPanel.className = 'bg-debug-panel';
+            this.debugPanel.setAttribute('aria-hidden', 'true');
+            document.body.appendChild(this.debugPanel);
+        }
+        if (this.sceneFallback) stats = stats.concat([['сцена', `${this.sceneFallback} не загружена`]]);
+        this.debugPanel.textContent = stats.map(([label, value]) => `${label}: ${value}`).join('\n');
     }
     
     update() {
         // Обновляем пульсацию сетки
         this.gridPulse += 0.02;
         
+        if (this.moveNodes()) this.updateTopology();
+        
         // Обновляем узлы
         this.nodes.forEach(node => {
             node.pulse += 0.05;
@@ -369,12 +1227,18 @@ applyMouseDistortion() {
                 node.activation -= 0.02;
             }
             
-            if (Math.random() < 0.002) {
+            if (Math.random() < this.options.firingProbability) {
                 node.activation = 1;
                 this.activateNodeConnections(node);
             }
         });
         
+        // Плавное появление и затухание эффекта под указателями
+        this.pointers.forEach((pointer, id) => {
+            pointer.strength += ((pointer.active ? 1 : 0) - pointer.strength) * 0.12;
+            if (!pointer.active && pointer.strength < 0.01) this.pointers.delete(id);
+        });
+        
         // Обновляем волну активации
         if (this.activationWave) {
             this.activationWave.radius += this.activationWave.speed;
@@ -400,7 +1264,7 @@ applyMouseDistortion() {
             conn.active = true;
             conn.progress = 0;
             
-            setTimeout(() => {
+            this.later(() => {
                 conn.active = false;
             }, 800);
         });
@@ -408,7 +1272,7 @@ applyMouseDistortion() {
     
     drawNetwork() {
         // Очищаем canvas
-        this.ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.ctx.clearRect(0, 0, this.width, this.height);
         
         // Рисуем соединения
         this.drawConnections();
@@ -430,7 +1294,7 @@ applyMouseDistortion() {
             this.ctx.beginPath();
             this.ctx.moveTo(conn.nodeA.x, conn.nodeA.y);
             this.ctx.lineTo(conn.nodeB.x, conn.nodeB.y);
-            this.ctx.strokeStyle = `rgba(107, 97, 255, ${alpha})`;
+            this.ctx.strokeStyle = this.rgba('primary', alpha);
             this.ctx.lineWidth = 0.8;
             this.ctx.stroke();
             
@@ -442,9 +1306,11 @@ applyMouseDistortion() {
                 // Сигнал бегущий по соединению
                 this.ctx.beginPath();
                 this.ctx.arc(progressX, progressY, 2, 0, Math.PI * 2);
-                this.ctx.fillStyle = 'rgba(255, 255, 255, 0.8)';
+                this.ctx.fillStyle = this.rgba('signal', 0.8);
                 this.ctx.fill();
                 
+                if (!this.getQualityTier().gradients) return;
+                
                 // Свечение сигнала
                 this.ctx.beginPath();
                 this.ctx.arc(progressX, progressY, 6, 0, Math.PI * 2);
@@ -452,8 +1318,8 @@ applyMouseDistortion() {
                     progressX, progressY, 0,
                     progressX, progressY, 6
                 );
-                gradient.addColorStop(0, 'rgba(107, 97, 255, 0.8)');
-                gradient.addColorStop(1, 'rgba(107, 97, 255, 0)');
+                gradient.addColorStop(0, this.rgba('primary', 0.8));
+                gradient.addColorStop(1, this.rgba('primary', 0));
                 this.ctx.fillStyle = gradient;
                 this.ctx.fill();
             }
@@ -465,15 +1331,15 @@ applyMouseDistortion() {
             const activation = node.activation;
             
             // Внешнее свечение при активации
-            if (activation > 0) {
+            if (activation > 0 && this.getQualityTier().gradients) {
                 this.ctx.beginPath();
                 this.ctx.arc(node.x, node.y, node.size * 3, 0, Math.PI * 2);
                 const gradient = this.ctx.createRadialGradient(
                     node.x, node.y, 0,
                     node.x, node.y, node.size * 3
                 );
-                gradient.addColorStop(0, `rgba(107, 97, 255, ${activation * 0.4})`);
-                gradient.addColorStop(1, 'rgba(107, 97, 255, 0)');
+                gradient.addColorStop(0, this.rgba('primary', activation * 0.4));
+                gradient.addColorStop(1, this.rgba('primary', 0));
                 this.ctx.fillStyle = gradient;
                 this.ctx.fill();
             }
@@ -481,14 +1347,14 @@ applyMouseDistortion() {
             // Основной узел
             this.ctx.beginPath();
             this.ctx.arc(node.x, node.y, node.size, 0, Math.PI * 2);
-            this.ctx.fillStyle = `rgba(107, 97, 255, ${0.5 + activation * 0.5})`;
+            this.ctx.fillStyle = this.rgba('primary', 0.5 + activation * 0.5);
             this.ctx.fill();
             
             // Внутреннее ядро
             if (activation > 0) {
                 this.ctx.beginPath();
                 this.ctx.arc(node.x, node.y, node.size * 0.6, 0, Math.PI * 2);
-                this.ctx.fillStyle = `rgba(255, 255, 255, ${activation})`;
+                this.ctx.fillStyle = this.rgba('signal', activation);
                 this.ctx.fill();
             }
         });
@@ -498,28 +1364,110 @@ applyMouseDistortion() {
         const wave = this.activationWave;
         this.ctx.beginPath();
         this.ctx.arc(wave.x, wave.y, wave.radius, 0, Math.PI * 2);
-        this.ctx.strokeStyle = `rgba(107, 97, 255, ${1 - wave.radius / wave.maxRadius})`;
+        this.ctx.strokeStyle = this.rgba('primary', 1 - wave.radius / wave.maxRadius);
         this.ctx.lineWidth = 2;
         this.ctx.stroke();
     }
+}
+
+// Реестр сцен фона. Встроена только 'network'; остальные лежат рядом
+// в bg-scenes/<имя>.js, подгружаются при первом обращении и вызывают
+// BackgroundScenes.register() сами
+const BackgroundScenes = {
+    scenes: new Map(),
+    pending: new Map(),
+    // Путь сцен считается от bg.js, а не от страницы
+    baseUrl: typeof document !== 'undefined' && document.currentScript
+        ? document.currentScript.src
+        : '',
     
-    destroy() {
-        window.removeEventListener('resize', () => this.resizeCanvases());
+    register(name, SceneClass) {
+        this.scenes.set(name, SceneClass);
+        return SceneClass;
+    },
+    
+    get(name) {
+        return this.scenes.get(name) || null;
+    },
+    
+    load(name) {
+        if (this.scenes.has(name)) return Promise.resolve(this.scenes.get(name));
+        if (!/^[a-z0-9-]+$/.test(name)) {
+            return Promise.reject(new Error(`недопустимое имя сцены «${name}»`));
+        }
+        if (!this.pending.has(name)) {
+            const promise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = new URL(`bg-scenes/${name}.js`, this.baseUrl || document.baseURI).href;
+                script.async = true;
+                script.onload = () => {
+                    if (this.scenes.has(name)) resolve(this.scenes.get(name));
+                    else reject(new Error(`${script.src} не зарегистрировал сцену «${name}»`));
+                };
+                script.onerror = () => reject(new Error(`не удалось загрузить ${script.src}`));
+                document.head.appendChild(script);
+            });
+            // После ошибки можно попробовать снова
+            promise.catch(() => this.pending.delete(name));
+            this.pending.set(name, promise);
+        }
+        return this.pending.get(name);
     }
-}
+};
+
+BackgroundScenes.register('network', InteractiveNeuralNetwork);
 
 // Инициализация
 let neuralNetwork = null;
+let sceneRequest = 0;       // ответ загрузки устарел, если с тех пор был новый запрос
+
+// <div class="background-container" data-bg-scene="grid"> выбирает сцену страницы
+function getBackgroundSceneName() {
+    const container = document.querySelector('[data-bg-scene]');
+    return (container && container.dataset.bgScene.trim()) || 'network';
+}
 
-function initNeuralBackground() {
-    if (!neuralNetwork) {
-        neuralNetwork = new InteractiveNeuralNetwork();
+// Встроенная или уже загруженная сцена создаётся сразу, остальные —
+// после загрузки; если сцену загрузить не удалось, остаётся 'network',
+// а в панели ?debug=bg появляется строка «сцена»
+function initNeuralBackground(name = getBackgroundSceneName()) {
+    if (neuralNetwork) return neuralNetwork;
+    
+    const request = ++sceneRequest;
+    const mount = SceneClass => {
+        if (request !== sceneRequest || neuralNetwork) return;
+        neuralNetwork = new SceneClass();
+    };
+    const SceneClass = BackgroundScenes.get(name);
+    if (SceneClass) {
+        mount(SceneClass);
+        return neuralNetwork;
     }
+    BackgroundScenes.load(name).then(mount, () => {
+        mount(InteractiveNeuralNetwork);
+        if (request === sceneRequest && neuralNetwork) neuralNetwork.sceneFallback = name;
+    });
+    return null;
 }
 
-// Автоматический запуск
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initNeuralBackground);
-} else {
-    initNeuralBackground();
+function destroyNeuralBackground() {
+    sceneRequest++;
+    if (neuralNetwork) {
+        neuralNetwork.destroy();
+        neuralNetwork = null;
+    }
+}
+
+function switchBackgroundScene(name) {
+    destroyNeuralBackground();
+    return initNeuralBackground(name);
+}
+
+// Автоматический запуск (bg-worker.js подключает bg.js только ради классов)
+if (typeof document !== 'undefined') {
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', () => initNeuralBackground());
+    } else {
+        initNeuralBackground();
+    }
 }
\ No newline at end of file
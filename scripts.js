@@ -1,6 +1,7 @@
 /* =========================================================================
    Digital Mind Project — scripts.js
    - Modal windows (applications/models)
+   - Model catalog rendered from models.json
    - Copy buttons for formulas/code
    - Back-to-top button
    - Article TOC enhancements
@@ -13,6 +14,9 @@
 (function () {
   'use strict';
 
+  // Shared namespace for the blocks below and in other files
+  const DM = window.DM = window.DM || {};
+
   /* ------------------------------ Utilities ------------------------------ */
 
   function onReady(fn) {
@@ -33,9 +37,9 @@
 
   function trapFocus(modal) {
     // Optional: keep focus inside modal for accessibility
-    const focusable = modal.querySelectorAll(
+    const focusable = Array.from(modal.querySelectorAll(
       'a, button, input, textarea, select, [tabindex]:not([tabindex="-1"])'
-    );
+    )).filter(el => !el.closest('[hidden]'));
     if (!focusable.length) return () => {};
     const first = focusable[0];
     const last = focusable[focusable.length - 1];
@@ -58,6 +62,195 @@
     return () => modal.removeEventListener('keydown', keyHandler);
   }
 
+  /* -------------------------- Motion preferences ------------------------- */
+
+  // Single source of truth for "reduce motion": the OS setting, unless the
+  // visitor overrode it with a .motion-toggle button (kept in localStorage).
+  // Animated parts read DM.motion.reduced() and follow dm:motion-change.
+  const motion = (function () {
+    const STORAGE_KEY = 'dm-motion';
+    const query = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+    function readPreference() {
+      try {
+        const value = localStorage.getItem(STORAGE_KEY);
+        return value === 'reduce' || value === 'full' ? value : 'system';
+      } catch (e) {
+        return 'system';
+      }
+    }
+
+    let preference = readPreference();
+    let reduced = compute();
+
+    function compute() {
+      if (preference === 'system') return !!(query && query.matches);
+      return preference === 'reduce';
+    }
+
+    function update() {
+      const next = compute();
+      document.documentElement.classList.toggle('reduce-motion', next);
+      if (next === reduced) return;
+      reduced = next;
+      document.dispatchEvent(new CustomEvent('dm:motion-change', { detail: { reduced, preference } }));
+    }
+
+    document.documentElement.classList.toggle('reduce-motion', reduced);
+    if (query && query.addEventListener) query.addEventListener('change', update);
+
+    return {
+      reduced: () => reduced,
+      preference: () => preference,
+      scrollBehavior: () => (reduced ? 'auto' : 'smooth'),
+      // 'reduce' | 'full' | 'system'
+      set(value) {
+        preference = value === 'reduce' || value === 'full' ? value : 'system';
+        try {
+          if (preference === 'system') localStorage.removeItem(STORAGE_KEY);
+          else localStorage.setItem(STORAGE_KEY, preference);
+        } catch (e) { /* private mode: the choice lasts until reload */ }
+        update();
+      },
+      // fn(reduced) on every change; returns an unsubscribe function
+      onChange(fn) {
+        const handler = e => fn(e.detail.reduced);
+        document.addEventListener('dm:motion-change', handler);
+        return () => document.removeEventListener('dm:motion-change', handler);
+      }
+    };
+  })();
+
+  function bindMotionToggle() {
+    const buttons = document.querySelectorAll('.motion-toggle');
+    if (!buttons.length) return;
+
+    const sync = () => buttons.forEach(btn => {
+      btn.setAttribute('aria-pressed', String(motion.reduced()));
+    });
+
+    buttons.forEach(btn => btn.addEventListener('click', () => {
+      motion.set(motion.reduced() ? 'full' : 'reduce');
+    }));
+    motion.onChange(sync);
+    sync();
+  }
+
+  /* ---------------------------- Theme palettes --------------------------- */
+
+  // A palette is a set of CSS custom properties. The built-in ones live in
+  // styles.css and are picked by data-theme (base scheme) and data-palette on
+  // <html>; palettes added with register() are inline properties on top of
+  // their base. 'system' follows prefers-color-scheme; a choice is kept in
+  // localStorage together with the attributes it resolved to, which the
+  // inline script in each page's <head> copies before first paint.
+  // bg.js and other listeners recolour on dm:theme-change.
+  const theme = (function () {
+    const STORAGE_KEY = 'dm-theme';
+    const ATTRIBUTES_KEY = 'dm-theme-attributes';
+    const root = document.documentElement;
+    const query = window.matchMedia ? window.matchMedia('(prefers-color-scheme: light)') : null;
+    const palettes = new Map([
+      ['dark', { label: 'Тёмная', base: 'dark', tokens: {} }],
+      ['light', { label: 'Светлая', base: 'light', tokens: {} }],
+      ['emerald', { label: 'Изумрудная', base: 'dark', tokens: {} }]
+    ]);
+
+    let preference = readPreference();
+    let current = null;
+    let inline = [];
+
+    function readPreference() {
+      try {
+        return localStorage.getItem(STORAGE_KEY) || 'system';
+      } catch (e) {
+        return 'system';
+      }
+    }
+
+    function resolve() {
+      if (palettes.has(preference)) return preference;
+      return query && query.matches ? 'light' : 'dark';
+    }
+
+    function storeAttributes(base, name) {
+      try {
+        if (preference === 'system') localStorage.removeItem(ATTRIBUTES_KEY);
+        else localStorage.setItem(ATTRIBUTES_KEY, JSON.stringify({ theme: base, palette: name }));
+      } catch (e) { /* private mode: the head script falls back to the system scheme */ }
+    }
+
+    function apply(force) {
+      const name = resolve();
+      if (name === current && !force) return;
+      const palette = palettes.get(name);
+
+      inline.forEach(prop => root.style.removeProperty(prop));
+      inline = Object.keys(palette.tokens);
+      inline.forEach(prop => root.style.setProperty(prop, palette.tokens[prop]));
+      root.dataset.theme = palette.base;
+      root.dataset.palette = name;
+      storeAttributes(palette.base, name);
+
+      current = name;
+      document.dispatchEvent(new CustomEvent('dm:theme-change', {
+        detail: { name, base: palette.base, preference }
+      }));
+    }
+
+    apply();
+    if (query && query.addEventListener) query.addEventListener('change', () => apply());
+
+    return {
+      current: () => current,
+      preference: () => preference,
+      palettes: () => Array.from(palettes, ([name, p]) => ({ name, label: p.label, base: p.base })),
+      // palette name or 'system'
+      set(name) {
+        preference = palettes.has(name) ? name : 'system';
+        try {
+          if (preference === 'system') localStorage.removeItem(STORAGE_KEY);
+          else localStorage.setItem(STORAGE_KEY, preference);
+        } catch (e) { /* private mode: the choice lasts until reload */ }
+        apply();
+      },
+      // { label, base: 'dark' | 'light', tokens: { '--accent': '#…', … } }
+      register(name, palette) {
+        palettes.set(name, {
+          label: palette.label || name,
+          base: palette.base === 'light' ? 'light' : 'dark',
+          tokens: Object.assign({}, palette.tokens)
+        });
+        // a stored choice may name a palette that is registered only now
+        if (resolve() === name) apply(true);
+      },
+      onChange(fn) {
+        const handler = e => fn(e.detail);
+        document.addEventListener('dm:theme-change', handler);
+        return () => document.removeEventListener('dm:theme-change', handler);
+      }
+    };
+  })();
+
+  function bindThemeSelect() {
+    const selects = document.querySelectorAll('.theme-select');
+    if (!selects.length) return;
+
+    const sync = () => selects.forEach(select => {
+      select.value = theme.preference();
+      if (!select.value) select.value = 'system';
+    });
+
+    selects.forEach(select => {
+      theme.palettes().forEach(({ name, label }) => {
+        if (!select.querySelector(`option[value="${name}"]`)) select.add(new Option(label, name));
+      });
+      select.addEventListener('change', () => theme.set(select.value));
+    });
+    theme.onChange(sync);
+    sync();
+  }
+
   /* --------------------------- Modal management -------------------------- */
 
   function openModal(modal) {
@@ -72,6 +265,7 @@
     modal.setAttribute('aria-hidden', 'false');
     const cleanupTrap = trapFocus(modal);
     modal.__trapCleanup = cleanupTrap;
+    modal.dispatchEvent(new CustomEvent('dm:modal-open', { bubbles: true }));
   }
 
   function closeModal(modal) {
@@ -89,6 +283,44 @@
       modal.__trapCleanup();
       modal.__trapCleanup = null;
     }
+    modal.dispatchEvent(new CustomEvent('dm:modal-close', { bubbles: true }));
+  }
+
+  function getModelModal(modelId) {
+    if (!modelId) return null;
+    return document.getElementById(`${modelId}-modal`) ||
+           document.querySelector(`.model-modal[data-model="${modelId}"]`);
+  }
+
+  function bindModelCard(card) {
+    if (card.__modalBound) return;
+    card.__modalBound = true;
+    card.style.cursor = 'pointer';
+    if (!card.hasAttribute('tabindex')) card.setAttribute('tabindex', '0');
+
+    const getModal = () => getModelModal(card.getAttribute('data-model'));
+
+    card.addEventListener('click', e => {
+      if (e.target && (e.target.tagName === 'A' || e.target.closest('a'))) return;
+      openModal(getModal());
+    });
+    card.addEventListener('keydown', e => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openModal(getModal());
+      }
+    });
+  }
+
+  function bindCloseButtons(root) {
+    root.querySelectorAll('.close-modal').forEach(btn => {
+      if (btn.__closeBound) return;
+      btn.__closeBound = true;
+      btn.addEventListener('click', () => {
+        const modal = btn.closest('.application-modal, .model-modal');
+        closeModal(modal);
+      });
+    });
   }
 
   function bindModals() {
@@ -123,38 +355,10 @@
     }
 
     // Legacy support: .model-card[data-model] -> #${model}-modal (class .model-modal)
-    if (modelCards.length) {
-      modelCards.forEach(card => {
-        card.style.cursor = 'pointer';
-        if (!card.hasAttribute('tabindex')) card.setAttribute('tabindex', '0');
-
-        function getModal() {
-          const modelId = card.getAttribute('data-model');
-          if (!modelId) return null;
-          return document.getElementById(`${modelId}-modal`) ||
-                 document.querySelector(`.model-modal[data-model="${modelId}"]`);
-        }
-
-        card.addEventListener('click', e => {
-          if (e.target && (e.target.tagName === 'A' || e.target.closest('a'))) return;
-          openModal(getModal());
-        });
-        card.addEventListener('keydown', e => {
-          if (e.key === 'Enter' || e.key === ' ') {
-            e.preventDefault();
-            openModal(getModal());
-          }
-        });
-      });
-    }
+    modelCards.forEach(bindModelCard);
 
     // Close buttons (both new and legacy)
-    document.querySelectorAll('.close-modal').forEach(btn => {
-      btn.addEventListener('click', () => {
-        const modal = btn.closest('.application-modal, .model-modal');
-        closeModal(modal);
-      });
-    });
+    bindCloseButtons(document);
 
     // Click on overlay to close
     window.addEventListener('click', e => {
@@ -173,118 +377,705 @@
     });
   }
 
+  /* ---------------------------- Model catalog ---------------------------- */
+
+  // Every model card and modal is rendered from models.json. When the file
+  // can't be fetched (file://, offline) the short inline copy in index.html
+  // (#catalogFallback: cards and filter fields only) keeps the grid filled.
+  const CATALOG_URL = 'models.json';
+
+  // Labels for catalog field values. Tags, filters and compare read them
+  // from DM.labels, so a value is named the same way everywhere
+  const LABELS = {
+    modalities: { text: 'Текст', image: 'Изображения', video: 'Видео', audio: 'Аудио', code: 'Код' },
+    weights: { open: 'Открытые веса', closed: 'Закрытые веса' }
+  };
+
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  // Markup from the browser (admin edits, imported JSON) is not trusted the
+  // way models.json is: only these tags and attributes survive, anything else
+  // is dropped together with its content, and URLs must be http(s), mailto
+  // or relative
+  const SAFE_TAGS = new Set([
+    'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'code', 'div', 'em', 'figcaption',
+    'figure', 'h3', 'h4', 'h5', 'hr', 'i', 'img', 'li', 'ol', 'p', 'pre', 's', 'section',
+    'small', 'span', 'strong', 'sub', 'sup', 'table', 'tbody', 'td', 'th', 'thead', 'tr', 'u', 'ul'
+  ]);
+  const SAFE_ATTRS = new Set([
+    'alt', 'class', 'colspan', 'href', 'loading', 'rel', 'rowspan', 'scope', 'src', 'target', 'title',
+    'data-benchmark-chart', 'data-benchmarks', 'data-models'
+  ]);
+  const URL_ATTRS = new Set(['href', 'src']);
+  const SAFE_URL = /^(?:https?:|mailto:|[^:]*$)/i;
+
+  function sanitizeHtml(html) {
+    const template = document.createElement('template');
+    template.innerHTML = String(html == null ? '' : html);
+    (function clean(node) {
+      Array.from(node.childNodes).forEach(child => {
+        if (child.nodeType === Node.TEXT_NODE) return;
+        if (child.nodeType !== Node.ELEMENT_NODE || !SAFE_TAGS.has(child.localName)) {
+          child.remove();
+          return;
+        }
+        Array.from(child.attributes).forEach(attr => {
+          const allowed = SAFE_ATTRS.has(attr.name) &&
+            (!URL_ATTRS.has(attr.name) || SAFE_URL.test(attr.value.trim()));
+          if (!allowed) child.removeAttribute(attr.name);
+        });
+        if (child.getAttribute('target') === '_blank') child.setAttribute('rel', 'noopener noreferrer');
+        clean(child);
+      });
+    })(template.content);
+    return template.innerHTML;
+  }
+
+  function bannerStyle(src) {
+    return src ? ` style="background-image: url('${escapeHtml(src)}');"` : '';
+  }
+
+  function renderModelCard(model) {
+    const images = model.images || {};
+    const card = document.createElement('div');
+    card.className = 'model-card';
+    card.setAttribute('data-model', model.id);
+    card.innerHTML = `
+      <div class="model-card-img"${bannerStyle(images.banner)}>${images.icon ? `<i class="${escapeHtml(images.icon)}"></i>` : ''}</div>
+      <div class="model-card-content">
+        <h3>${escapeHtml(model.name)}</h3>
+        <p>${escapeHtml(model.summary)}</p>
+        <div class="model-card-footer">
+          <button class="btn btn-outline" type="button">Подробнее</button>
+        </div>
+      </div>`;
+    return card;
+  }
+
+  function renderInfoCards(info) {
+    if (!info || !info.length) return '';
+    return `<div class="model-info-grid">${info.map(item => `
+      <div class="model-info-card">
+        <h4><i class="${escapeHtml(item.icon || 'fas fa-info-circle')}" aria-hidden="true"></i> ${escapeHtml(item.title)}</h4>
+        <p>${item.html || ''}</p>
+      </div>`).join('')}
+    </div>`;
+  }
+
+  function renderRating(rating) {
+    if (!rating || !rating.criteria || !rating.criteria.length) return '';
+    const scale = rating.scale || 5;
+    const cards = rating.criteria.map(c => `
+      <div class="model-rating-card">
+        <span class="model-rating-label">${escapeHtml(c.label)}</span>
+        <span class="model-rating-score">${escapeHtml(c.score)} / ${scale}</span>
+      </div>`);
+    if (rating.overall != null) {
+      cards.push(`
+      <div class="model-rating-card model-rating-card--accent">
+        <span class="model-rating-label">Общая оценка</span>
+        <span class="model-rating-score">${escapeHtml(rating.overall)} / ${scale}</span>
+      </div>`);
+    }
+    return `<div class="model-rating-grid">${cards.join('')}</div>`;
+  }
+
+  function renderLinks(model) {
+    if (!model.links || !model.links.length) return '';
+    return `
+      <section class="model-section model-section-links">
+        <h3>Официальные ресурсы</h3>
+        <div class="model-links model-links-row">${model.links.map((link, i) => `
+          <a href="${escapeHtml(link.url)}" class="btn${i ? ' btn-outline' : ''}" target="_blank" rel="noopener noreferrer">${escapeHtml(link.label)}</a>`).join('')}
+        </div>
+      </section>`;
+  }
+
+  // Ratings go into the placeholder the record's HTML already has: star rows
+  // (.rating-grid) or score cards (.model-rating-grid); otherwise after details
+  function placeRating(modal, rating) {
+    if (!rating || !rating.criteria || !rating.criteria.length) return;
+    const rows = modal.querySelector('.rating-grid');
+    if (rows) {
+      rows.innerHTML = renderRatingRows(rating);
+      return;
+    }
+    const html = renderRating(rating);
+    const current = modal.querySelector('.model-rating-grid');
+    const anchor = modal.querySelector('.model-details') ||
+      modal.querySelector('.model-info-grid') ||
+      modal.querySelector('.model-modal-img');
+    if (current) current.outerHTML = html;
+    else if (anchor) anchor.insertAdjacentHTML('afterend', html);
+  }
+
+  function renderModelModal(model) {
+    const id = model.id;
+    const tabs = model.tabs || [];
+    const modal = document.createElement('div');
+    modal.className = 'model-modal';
+    modal.id = `${id}-modal`;
+    modal.setAttribute('data-catalog-modal', '');
+    modal.setAttribute('role', 'dialog');
+    modal.setAttribute('aria-modal', 'true');
+    modal.setAttribute('aria-labelledby', `${id}-modal-title`);
+    if (model.description) modal.setAttribute('aria-describedby', `${id}-modal-desc`);
+
+    // A record without long-form content (e.g. the inline fallback) still
+    // gets a readable modal built from its summary
+    const details = model.details ||
+      (!model.info && !tabs.length && model.summary ? `<p>${escapeHtml(model.summary)}</p>` : '');
+    const overview = `
+      ${renderInfoCards(model.info)}
+      ${details ? `<div class="model-details">${details}</div>` : ''}
+      ${renderLinks(model)}`;
+
+    let tabNav = '';
+    let body = overview;
+    if (tabs.length) {
+      // The first tab always holds the overview built from info/details
+      const all = [{ id: 'overview', label: 'Обзор', html: overview }].concat(tabs);
+      tabNav = `
+      <nav class="modal-tabs" role="tablist" aria-label="Разделы ${escapeHtml(model.name)}">${all.map((tab, i) => `
+        <button role="tab" type="button" id="${id}-tab-${tab.id}-btn" aria-controls="${id}-tab-${tab.id}" aria-selected="${i === 0}" tabindex="${i === 0 ? 0 : -1}">${escapeHtml(tab.label)}</button>`).join('')}
+      </nav>`;
+      body = all.map((tab, i) => `
+      <section id="${id}-tab-${tab.id}" class="modal-tab-panel${i === 0 ? ' is-active' : ''}" role="tabpanel" aria-labelledby="${id}-tab-${tab.id}-btn"${i === 0 ? '' : ' hidden'}>
+        ${tab.html}
+      </section>`).join('');
+    }
+
+    modal.innerHTML = `
+      <div class="model-modal-content">
+        <div class="model-modal-header">
+          <h2 id="${id}-modal-title">${escapeHtml(model.title || model.name)}</h2>
+          <button class="close-modal" type="button" aria-label="Закрыть модальное окно">&times;</button>
+        </div>${model.description ? `
+        <p id="${id}-modal-desc" class="visually-hidden">${escapeHtml(model.description)}</p>` : ''}${tabNav}
+        <div class="model-modal-body">
+          <div class="model-modal-img"${bannerStyle((model.images || {}).banner)}></div>
+          ${body}
+        </div>
+      </div>`;
+    placeRating(modal, model.rating);
+    return modal;
+  }
+
+  function renderCatalog(models) {
+    const modalHost = document.querySelector('[data-catalog-modals]') || document.body;
+    models.forEach(model => {
+      if (!model || !model.id) return;
+      if (document.querySelector(`.model-card[data-model="${model.id}"]`)) return;
+      const grid = document.querySelector(`[data-catalog-grid="${model.section || 'models'}"]`);
+      if (!grid) return;
+
+      const card = renderModelCard(model);
+      grid.appendChild(card);
+      bindModelCard(card);
+      if (canTilt()) bindCardTilt(card);
+
+      if (!getModelModal(model.id)) {
+        const modal = renderModelModal(model);
+        modalHost.appendChild(modal);
+        bindCloseButtons(modal);
+      }
+    });
+  }
+
+  function renderRatingRows(rating) {
+    const scale = rating.scale || 5;
+    return rating.criteria.map(c => {
+      const score = Number(c.score) || 0;
+      const stars = Array.from({ length: Math.round(scale) }, (_, i) => {
+        const state = score >= i + 1 ? ' is-filled' : score > i ? ' is-half' : '';
+        return `<span class="star${state}"></span>`;
+      }).join('');
+      return `
+          <div class="rating-row">
+            <div class="rating-label">
+              <strong>${escapeHtml(c.label)}</strong>${c.note ? `
+              <span>${escapeHtml(c.note)}</span>` : ''}
+            </div>
+            <div class="rating-score">${escapeHtml(c.score)} / ${scale}</div>
+            <div class="rating-stars" aria-label="${escapeHtml(c.score)} из ${scale}">${stars}</div>
+          </div>`;
+    }).join('');
+  }
+
+  function setBanner(el, src) {
+    if (el && src) el.setAttribute('style', `background-image: url('${src.replace(/'/g, '%27')}');`);
+  }
+
+  function patchModelCard(card, model) {
+    const title = card.querySelector('h3');
+    const summary = card.querySelector('.model-card-content > p');
+    if (title && model.name) title.textContent = model.name;
+    if (summary && model.summary) summary.textContent = model.summary;
+    setBanner(card.querySelector('.model-card-img'), (model.images || {}).banner);
+
+    const grid = document.querySelector(`[data-catalog-grid="${model.section || 'models'}"]`);
+    if (grid && !grid.contains(card)) grid.appendChild(card);
+  }
+
+  function updateModelEntry(model) {
+    const card = document.querySelector(`.model-card[data-model="${model.id}"]`);
+    if (card) patchModelCard(card, model);
+
+    const modal = getModelModal(model.id);
+    if (modal) {
+      const fresh = renderModelModal(model);
+      modal.replaceWith(fresh);
+      bindCloseButtons(fresh);
+    }
+    // New entries get their card and modal here
+    renderCatalog([model]);
+  }
+
+  function createCatalog(models) {
+    const byId = new Map(models.map(m => [m.id, m]));
+    const changed = (type, id) => {
+      document.dispatchEvent(new CustomEvent('dm:catalog-change', { detail: { type, id } }));
+    };
+    return {
+      models,
+      get: id => byId.get(id) || null,
+      // Replaces (or adds) a record and brings its card and modal up to date
+      upsert(model) {
+        const index = models.findIndex(m => m.id === model.id);
+        if (index === -1) models.push(model);
+        else models[index] = model;
+        byId.set(model.id, model);
+        updateModelEntry(model);
+        changed(index === -1 ? 'add' : 'update', model.id);
+      },
+      remove(id) {
+        const index = models.findIndex(m => m.id === id);
+        if (index !== -1) models.splice(index, 1);
+        byId.delete(id);
+        const card = document.querySelector(`.model-card[data-model="${id}"]`);
+        const modal = getModelModal(id);
+        if (card) card.remove();
+        if (modal) modal.remove();
+        changed('remove', id);
+      },
+      // Detached copy of the modal as it would look with this record applied
+      preview: renderModelModal
+    };
+  }
+
+  function readFallback() {
+    const script = document.getElementById('catalogFallback');
+    try {
+      return script ? JSON.parse(script.textContent) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  function initCatalog() {
+    // Always settles with a catalog, so dependants keep working when
+    // models.json is unreachable (e.g. file://)
+    fetch(CATALOG_URL)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .catch(() => readFallback())
+      .then(data => {
+        const models = Array.isArray(data && data.models) ? data.models : [];
+        if (document.querySelector('[data-catalog-grid]')) renderCatalog(models);
+        return createCatalog(models);
+      })
+      .then(catalog => {
+        DM.catalog = catalog;
+        document.dispatchEvent(new CustomEvent('dm:catalog-ready', { detail: catalog }));
+      });
+  }
+
+  // Runs fn once the catalog (and its rendered cards) is available
+  DM.onCatalog = function (fn) {
+    if (DM.catalog) {
+      fn(DM.catalog);
+    } else {
+      document.addEventListener('dm:catalog-ready', e => fn(e.detail), { once: true });
+    }
+  };
+
   /* ------------------------ Copy buttons for formulas --------------------- */
 
-  function initCardTilt() {
-    if (!window.matchMedia('(hover: hover) and (pointer: fine)').matches) return;
-    const cards = document.querySelectorAll('.model-card, .article-card');
-    if (!cards.length) return;
+  const canTilt = () => window.matchMedia('(hover: hover) and (pointer: fine)').matches;
+
+  function bindCardTilt(card) {
+    if (card.__tiltBound) return;
+    card.__tiltBound = true;
     const maxTilt = 24;
     const shadow = '0 48px 90px rgba(0, 0, 0, 0.7)';
 
-    const resetCard = card => {
+    const resetCard = () => {
       card.style.transform = '';
       card.style.boxShadow = '';
     };
 
-    cards.forEach(card => {
-      const handleMove = e => {
-        const rect = card.getBoundingClientRect();
-        const x = (e.clientX - rect.left) / rect.width;
-        const y = (e.clientY - rect.top) / rect.height;
-        const rotateY = (x - 0.5) * maxTilt;
-        const rotateX = -(y - 0.5) * maxTilt;
-        card.style.transform = `perspective(1400px) rotateX(${rotateX.toFixed(2)}deg) rotateY(${rotateY.toFixed(2)}deg) translateZ(18px) scale(1.025)`;
-        card.style.boxShadow = shadow;
-        card.style.setProperty('--card-highlight-x', `${(x * 100).toFixed(1)}%`);
-        card.style.setProperty('--card-highlight-y', `${(y * 100).toFixed(1)}%`);
-      };
+    const handleMove = e => {
+      if (motion.reduced()) return;
+      const rect = card.getBoundingClientRect();
+      const x = (e.clientX - rect.left) / rect.width;
+      const y = (e.clientY - rect.top) / rect.height;
+      const rotateY = (x - 0.5) * maxTilt;
+      const rotateX = -(y - 0.5) * maxTilt;
+      card.style.transform = `perspective(1400px) rotateX(${rotateX.toFixed(2)}deg) rotateY(${rotateY.toFixed(2)}deg) translateZ(18px) scale(1.025)`;
+      card.style.boxShadow = shadow;
+      card.style.setProperty('--card-highlight-x', `${(x * 100).toFixed(1)}%`);
+      card.style.setProperty('--card-highlight-y', `${(y * 100).toFixed(1)}%`);
+    };
+
+    card.addEventListener('mousemove', handleMove);
+    card.addEventListener('mouseleave', resetCard);
+    card.addEventListener('blur', resetCard);
+  }
 
-      card.addEventListener('mousemove', handleMove);
-      card.addEventListener('mouseleave', () => resetCard(card));
-      card.addEventListener('blur', () => resetCard(card));
+  function initCardTilt() {
+    if (!canTilt()) return;
+    document.querySelectorAll('.model-card, .article-card').forEach(bindCardTilt);
+    motion.onChange(reduced => {
+      if (!reduced) return;
+      document.querySelectorAll('.model-card, .article-card').forEach(card => {
+        card.style.transform = '';
+        card.style.boxShadow = '';
+      });
     });
   }
 
+  /* ------------------------- Gallery photo viewer ------------------------- */
+
+  // Images that open in the viewer; each group (modal, article, or any
+  // [data-gallery] container) becomes its own gallery
+  const GALLERY_IMAGES = '.model-modal img, .application-modal img, .article-main img, .image-zoom img, [data-gallery] img';
+  const GALLERY_GROUPS = '[data-gallery], .model-modal, .application-modal, .article-main, .image-zoom';
+  // Linked images keep their link; [data-gallery-skip] opts out explicitly
+  const GALLERY_SKIP = 'a[href], [data-gallery-skip], .photo-viewer';
+  const MAX_ZOOM = 4;
+  const SWIPE_DISTANCE = 50;
+
+  const galleryImages = root => Array.from(root.querySelectorAll(GALLERY_IMAGES))
+    .filter(img => !img.closest(GALLERY_SKIP));
+
+  function galleryFor(img) {
+    const root = img.closest(GALLERY_GROUPS);
+    return root ? galleryImages(root) : [img];
+  }
+
+  // figcaption of the enclosing figure, then a sibling .image-caption, then alt
+  function captionOf(img) {
+    const figure = img.closest('figure');
+    const caption = (figure && figure.querySelector('figcaption')) ||
+      (img.parentElement && img.parentElement.querySelector('.image-caption'));
+    return (caption ? caption.textContent : img.alt || '').replace(/\s+/g, ' ').trim();
+  }
+
+  const fullSrc = img => img.dataset.previewSrc || img.currentSrc || img.src;
+
   function initPhotoViewer() {
     const viewer = document.getElementById('photoViewer');
     if (!viewer) return;
     const viewerImage = viewer.querySelector('img');
     const closeButton = viewer.querySelector('.photo-viewer-close');
     if (!viewerImage || !closeButton) return;
+    const stage = viewer.querySelector('.photo-viewer-stage') || viewerImage.parentElement;
+    const prevButton = viewer.querySelector('.photo-viewer-prev');
+    const nextButton = viewer.querySelector('.photo-viewer-next');
+    const captionText = viewer.querySelector('.photo-viewer-text');
+    const counter = viewer.querySelector('.photo-viewer-counter');
+
+    let items = [];
+    let index = 0;
+    let returnFocus = null;
+    let releaseTrap = null;
+    // Zoom state: scale around the image centre plus a pan offset in px
+    const view = { scale: 1, x: 0, y: 0 };
+    const pointers = new Map();
+    let gesture = null;
+
+    const isOpen = () => viewer.classList.contains('is-visible');
+
+    function applyView() {
+      viewerImage.style.transform = view.scale === 1
+        ? ''
+        : `translate(${view.x}px, ${view.y}px) scale(${view.scale})`;
+      viewer.classList.toggle('is-zoomed', view.scale > 1);
+    }
 
-    const closeViewer = () => {
-      viewer.classList.remove('is-visible');
-      viewer.setAttribute('aria-hidden', 'true');
-      document.body.classList.remove('photo-viewer-lock');
-      viewerImage.removeAttribute('src');
-      viewerImage.removeAttribute('alt');
+    // Keep the zoomed image covering the stage instead of drifting off it
+    function clampPan() {
+      const maxX = Math.max(0, (viewerImage.offsetWidth * view.scale - stage.clientWidth) / 2);
+      const maxY = Math.max(0, (viewerImage.offsetHeight * view.scale - stage.clientHeight) / 2);
+      view.x = Math.max(-maxX, Math.min(maxX, view.x));
+      view.y = Math.max(-maxY, Math.min(maxY, view.y));
+    }
+
+    // Zoom towards a viewport point so the spot under the cursor stays put
+    function zoomTo(scale, clientX, clientY) {
+      const next = Math.max(1, Math.min(MAX_ZOOM, scale));
+      const rect = stage.getBoundingClientRect();
+      const px = (clientX === undefined ? rect.left + rect.width / 2 : clientX) - (rect.left + rect.width / 2);
+      const py = (clientY === undefined ? rect.top + rect.height / 2 : clientY) - (rect.top + rect.height / 2);
+      view.x = px - (px - view.x) * (next / view.scale);
+      view.y = py - (py - view.y) * (next / view.scale);
+      view.scale = next;
+      if (next === 1) {
+        view.x = 0;
+        view.y = 0;
+      }
+      clampPan();
+      applyView();
+    }
+
+    function resetView() {
+      view.scale = 1;
+      view.x = 0;
+      view.y = 0;
+      applyView();
+    }
+
+    function preload(i) {
+      const img = items[(i + items.length) % items.length];
+      if (img) new Image().src = fullSrc(img);
+    }
+
+    function show(i) {
+      index = (i + items.length) % items.length;
+      const img = items[index];
+      resetView();
+      viewerImage.src = fullSrc(img);
+      viewerImage.alt = img.alt || '';
+      const caption = captionOf(img);
+      if (captionText) {
+        captionText.textContent = caption;
+        captionText.hidden = !caption;
+      }
+      if (counter) counter.textContent = items.length > 1 ? `${index + 1} / ${items.length}` : '';
+      if (items.length > 1) {
+        preload(index + 1);
+        preload(index - 1);
+      }
+    }
+
+    const step = delta => {
+      if (items.length > 1) show(index + delta);
     };
 
     const openViewer = img => {
-      const src = img.dataset.previewSrc || img.src;
-      viewerImage.src = src;
-      viewerImage.alt = img.alt || '';
+      items = galleryFor(img);
+      if (!items.includes(img)) items = [img];
+      const several = items.length > 1;
+      [prevButton, nextButton].forEach(btn => {
+        if (btn) btn.hidden = !several;
+      });
+      show(items.indexOf(img));
+
+      returnFocus = document.activeElement;
       viewer.classList.add('is-visible');
       viewer.setAttribute('aria-hidden', 'false');
       document.body.classList.add('photo-viewer-lock');
+      releaseTrap = trapFocus(viewer);
+      closeButton.focus();
+    };
+
+    const closeViewer = () => {
+      if (!isOpen()) return;
+      viewer.classList.remove('is-visible');
+      viewer.setAttribute('aria-hidden', 'true');
+      document.body.classList.remove('photo-viewer-lock');
+      viewerImage.removeAttribute('src');
+      viewerImage.removeAttribute('alt');
+      resetView();
+      pointers.clear();
+      gesture = null;
+      items = [];
+      if (releaseTrap) releaseTrap();
+      releaseTrap = null;
+      if (returnFocus && typeof returnFocus.focus === 'function') returnFocus.focus();
+      returnFocus = null;
     };
 
     closeButton.addEventListener('click', closeViewer);
+    if (prevButton) prevButton.addEventListener('click', () => step(-1));
+    if (nextButton) nextButton.addEventListener('click', () => step(1));
     viewer.addEventListener('click', e => {
-      if (e.target === viewer) {
+      if (e.target === viewer || e.target === stage) {
         closeViewer();
       }
     });
 
+    // Capture phase, so Esc and arrows don't also reach an open modal underneath
     document.addEventListener('keydown', e => {
-      if (e.key === 'Escape' && viewer.classList.contains('is-visible')) {
-        closeViewer();
+      if (!isOpen()) return;
+      const keys = {
+        Escape: closeViewer,
+        ArrowLeft: () => step(-1),
+        ArrowRight: () => step(1),
+        Home: () => show(0),
+        End: () => show(items.length - 1),
+        '+': () => zoomTo(view.scale * 1.5),
+        '=': () => zoomTo(view.scale * 1.5),
+        '-': () => zoomTo(view.scale / 1.5),
+        '0': resetView
+      };
+      const action = keys[e.key];
+      if (!action) return;
+      e.preventDefault();
+      e.stopPropagation();
+      action();
+    }, true);
+
+    stage.addEventListener('wheel', e => {
+      e.preventDefault();
+      zoomTo(view.scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+
+    stage.addEventListener('dblclick', e => {
+      zoomTo(view.scale > 1 ? 1 : 2, e.clientX, e.clientY);
+    });
+
+    // One pointer pans (when zoomed) or swipes; two pointers pinch
+    const distance = () => {
+      const [a, b] = Array.from(pointers.values());
+      return Math.hypot(a.x - b.x, a.y - b.y);
+    };
+    const midpoint = () => {
+      const [a, b] = Array.from(pointers.values());
+      return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+    };
+
+    stage.addEventListener('pointerdown', e => {
+      if (e.target !== viewerImage) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (stage.setPointerCapture) stage.setPointerCapture(e.pointerId);
+      if (pointers.size === 2) {
+        gesture = { type: 'pinch', distance: distance(), scale: view.scale };
+      } else if (pointers.size === 1) {
+        gesture = { type: view.scale > 1 ? 'pan' : 'swipe', startX: e.clientX, startY: e.clientY, x: view.x, y: view.y };
+      }
+    });
+
+    stage.addEventListener('pointermove', e => {
+      if (!pointers.has(e.pointerId) || !gesture) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (gesture.type === 'pinch' && pointers.size === 2) {
+        const center = midpoint();
+        zoomTo(gesture.scale * distance() / gesture.distance, center.x, center.y);
+      } else if (gesture.type === 'pan') {
+        view.x = gesture.x + e.clientX - gesture.startX;
+        view.y = gesture.y + e.clientY - gesture.startY;
+        clampPan();
+        applyView();
       }
     });
 
+    const endPointer = e => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.delete(e.pointerId);
+      if (gesture && gesture.type === 'swipe' && e.type === 'pointerup') {
+        const dx = e.clientX - gesture.startX;
+        const dy = e.clientY - gesture.startY;
+        if (Math.abs(dx) > SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) step(dx < 0 ? 1 : -1);
+      }
+      // Lifting one finger of a pinch continues as a pan from where it is
+      gesture = pointers.size === 1 && view.scale > 1
+        ? (() => {
+          const [p] = Array.from(pointers.values());
+          return { type: 'pan', startX: p.x, startY: p.y, x: view.x, y: view.y };
+        })()
+        : null;
+    };
+    stage.addEventListener('pointerup', endPointer);
+    stage.addEventListener('pointercancel', endPointer);
+
     document.addEventListener('click', e => {
-      const image = e.target.closest('.model-modal img, .application-modal img');
-      if (!image) return;
+      const image = e.target.closest(GALLERY_IMAGES);
+      if (!image || image.closest(GALLERY_SKIP)) return;
       e.preventDefault();
       openViewer(image);
     });
+
+    DM.gallery = {
+      open: openViewer,
+      close: closeViewer,
+      next: () => step(1),
+      prev: () => step(-1)
+    };
   }
 
+  // LaTeX source kept by the math renderer; raw text before rendering
+  const texOf = el => el.dataset.tex || (el.innerText || '').trim();
+  const mathmlOf = el => {
+    const math = el.querySelector('math');
+    return math ? math.outerHTML : texOf(el);
+  };
+
   function bindCopyButtons() {
     // Works for any block with .copy-code inside .block-code
     document.querySelectorAll('.block-code').forEach(block => {
       const btn = block.querySelector('.copy-code');
       if (!btn) return;
+      const buttons = [btn];
+
+      // Rendered formulas can also be copied as MathML (for Word, LibreOffice, etc.)
+      if (window.katex && block.querySelector('.math-block, .math-inline')) {
+        const mathml = document.createElement('button');
+        mathml.type = 'button';
+        mathml.className = 'copy-code copy-mathml';
+        mathml.dataset.copyFormat = 'mathml';
+        mathml.textContent = 'MathML';
+        mathml.setAttribute('aria-label', 'Скопировать формулу в MathML');
+        btn.setAttribute('aria-label', 'Скопировать формулу в LaTeX');
+        btn.before(mathml);
+        buttons.push(mathml);
+      }
 
-      btn.addEventListener('click', () => {
-        // Prefer concatenated .math-blocks text; fallback to block's text
-        const parts = Array.from(block.querySelectorAll('.math-block, .math-inline'))
-          .map(el => (el.innerText || '').trim())
-          .filter(Boolean);
-
-        let text = parts.join('\n');
-        if (!text) {
-          text = (block.innerText || '').trim();
-        }
+      buttons.forEach(button => button.addEventListener('click', () => copyBlock(block, button)));
+    });
+  }
 
-        navigator.clipboard.writeText(text).then(() => {
-          btn.classList.add('copied');
-          btn.setAttribute('aria-label', 'Скопировано');
-          setTimeout(() => {
-            btn.classList.remove('copied');
-            btn.removeAttribute('aria-label');
-          }, 1200);
-        }).catch(() => {
-          // Fallback: create a temporary textarea
-          const ta = document.createElement('textarea');
-          ta.value = text;
-          document.body.appendChild(ta);
-          ta.select();
-          try { document.execCommand('copy'); } catch(e) {}
-          document.body.removeChild(ta);
-        });
-      });
+  function copyBlock(block, btn) {
+    // Prefer concatenated formula sources; fallback to block's text
+    const format = btn.dataset.copyFormat === 'mathml' ? mathmlOf : texOf;
+    const parts = Array.from(block.querySelectorAll('.math-block, .math-inline'))
+      .map(format)
+      .filter(Boolean);
+
+    let text = parts.join('\n');
+    if (!text) {
+      text = (block.innerText || '').trim();
+    }
+
+    const label = btn.getAttribute('aria-label');
+    const write = navigator.clipboard && navigator.clipboard.writeText
+      ? navigator.clipboard.writeText(text)
+      : Promise.reject(new Error('Clipboard API unavailable'));
+    write.then(() => {
+      btn.classList.add('copied');
+      btn.setAttribute('aria-label', 'Скопировано');
+      setTimeout(() => {
+        btn.classList.remove('copied');
+        if (label) btn.setAttribute('aria-label', label);
+        else btn.removeAttribute('aria-label');
+      }, 1200);
+    }).catch(() => {
+      // Fallback: create a temporary textarea
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      document.body.appendChild(ta);
+      ta.select();
+      try { document.execCommand('copy'); } catch(e) {}
+      document.body.removeChild(ta);
     });
   }
 
@@ -305,7 +1096,7 @@
 
     btn.addEventListener('click', e => {
       e.preventDefault();
-      window.scrollTo({ top: 0, behavior: 'smooth' });
+      window.scrollTo({ top: 0, behavior: motion.scrollBehavior() });
     });
   }
 
@@ -363,19 +1154,38 @@
       });
       rafId = requestAnimationFrame(animate);
     }
-    animate();
 
-    // Cleanup on page hide
-    document.addEventListener('visibilitychange', () => {
-      if (document.hidden) cancelAnimationFrame(rafId);
-      else animate();
-    });
+    // Runs only while the page is visible and motion is allowed;
+    // otherwise the dots stay where they are
+    function sync() {
+      const run = !document.hidden && !motion.reduced();
+      if (run && !rafId) {
+        animate();
+      } else if (!run && rafId) {
+        cancelAnimationFrame(rafId);
+        rafId = 0;
+      }
+    }
+    sync();
+    document.addEventListener('visibilitychange', sync);
+    motion.onChange(sync);
   }
 
   /* --------------------------------- Init -------------------------------- */
 
+  DM.openModal = openModal;
+  DM.closeModal = closeModal;
+  DM.escapeHtml = escapeHtml;
+  DM.sanitizeHtml = sanitizeHtml;
+  DM.labels = LABELS;
+  DM.motion = motion;
+  DM.theme = theme;
+
   onReady(function () {
+    bindThemeSelect();
+    bindMotionToggle();
     bindModals();
+    initCatalog();
     initCardTilt();
     initPhotoViewer();
     bindCopyButtons();
@@ -385,380 +1195,941 @@
   });
 
 })();
-// ===== ГЛОССАРИЙ: авто-подсказки по наведению =====
+/* === Глоссарий: термины в тексте статьи и алфавитный указатель === */
 (function () {
-  const GLOSSARY = {
-    "ReLU": "Функция активации max(0, x): ускоряет и стабилизирует обучение.",
-    "градиент": "Вектор направлений наибольшего роста функции. Для обучения — направление уменьшения ошибки берём с минусом.",
-    "градиентный спуск": "Алгоритм обновления весов в сторону уменьшения функции потерь.",
-    "learning rate": "Скорость обучения (η): насколько сильно обновляем веса за шаг.",
-    "регуляризация": "Приёмы для борьбы с переобучением: L2, L1, Dropout, ранняя остановка и т.д.",
-    "Dropout": "Случайное «выключение» нейронов во время обучения для лучшей обобщающей способности.",
-    "Batch Normalization": "Нормализация активаций в батче для стабилизации и ускорения обучения.",
-    "свертка": "Операция извлечения локальных признаков фильтром по окрестности (CNN).",
-    "pooling": "Сжатие карты признаков (например, max-pooling) с сохранением ключевой информации.",
-    "внимание": "Механизм взвешивания важных элементов последовательности (Attention).",
-    "трансформер": "Архитектура без рекурсии/сверток, основанная на внимании и позиционном кодировании.",
-    "переобучение": "Модель запоминает шум/частности обучающей выборки и плохо обобщает на новые данные."
-  };
+  const DM = window.DM = window.DM || {};
+
+  const GLOSSARY_URL = 'glossary.json';
+  // Внутри ссылок, кода, заголовков и уже размеченных терминов текст не трогаем
+  const SKIP = 'a, button, code, pre, kbd, samp, script, style, textarea, select, svg, math, ' +
+    'h1, h2, h3, h4, h5, h6, .term, .term-popover, .math-block, .math-inline, .formula-symbol, ' +
+    '[data-glossary-skip]';
+  // Падежные и числовые окончания: «градиент» узнаётся в «градиента»,
+  // «градиентов», «свёртка» — в «свёртки» и «свёртками»
+  const ENDINGS = new Set([
+    'а', 'я', 'ы', 'и', 'у', 'ю', 'е', 'о', 'ь', 'й',
+    'ой', 'ей', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях', 'ов', 'ев', 'ию', 'ия', 'ие', 'ии', 'ью',
+    'ый', 'ий', 'ая', 'яя', 'ое', 'ее', 'ые', 'ых', 'их', 'ым', 'им', 'ую', 'юю', 'ою', 'ею',
+    'ами', 'ями', 'ого', 'его', 'ому', 'ему', 'ием', 'ией', 'иях', 'иям'
+  ]);
+  const LATIN_ENDINGS = new Set(['s', 'es']);
+  // Короче — только точное совпадение: у «вес» отрезать уже нечего
+  const MIN_STEM = 4;
+
+  const normalize = str => String(str || '').toLowerCase().replace(/ё/g, 'е');
+  const isCyrillic = word => /[а-я]/.test(word);
+
+  // Основа слова: без самого длинного из известных окончаний
+  function stemOf(word) {
+    if (word.length <= MIN_STEM || !isCyrillic(word)) return word;
+    for (let len = 3; len > 0; len--) {
+      const stem = word.slice(0, -len);
+      if (stem.length >= MIN_STEM - 1 && ENDINGS.has(word.slice(-len))) return stem;
+    }
+    return word;
+  }
 
-  function wrapGlossaryTerms(rootSelector = ".article-main") {
-    const root = document.querySelector(rootSelector);
-    if (!root) return;
+  function wordMatches(token, word) {
+    if (token === word.text) return true;
+    if (word.text.length < MIN_STEM || !token.startsWith(word.stem)) return false;
+    const rest = token.slice(word.stem.length);
+    return rest === '' || (isCyrillic(token) ? ENDINGS : LATIN_ENDINGS).has(rest);
+  }
 
-    // Ограничим оборачивание только текстовых узлов внутри параграфов и списков.
-    const walkers = root.querySelectorAll("p, li");
-    const terms = Object.keys(GLOSSARY)
-      .sort((a,b)=>b.length-a.length) // длинные сначала, чтобы не рвать составные фразы
-      .map(t => ({
-        key: t,
-        re: new RegExp(`\\b(${t.replace(/[.*+?^${}()|[\\]\\\\]/g, "\\$&")})\\b`, "gi"),
-        tip: GLOSSARY[t]
-      }));
+  // Фраза -> список слов с основами; «мини-батч» — тоже два слова
+  function compilePhrase(phrase) {
+    return (normalize(phrase).match(/[\p{L}\p{N}]+/gu) || [])
+      .map(text => ({ text, stem: isCyrillic(text) ? stemOf(text) : text }));
+  }
 
-    walkers.forEach(node => {
-      let html = node.innerHTML;
-      terms.forEach(({re, tip}) => {
-        html = html.replace(re, (m) =>
-          `<span class="term" data-tip="${tip}">${m}</span>`
-        );
+  function compileTerms(list) {
+    const terms = [];
+    list.forEach(entry => {
+      if (!entry || !entry.id || !entry.term || !entry.definition) return;
+      const phrases = [entry.term].concat(entry.aliases || []).map(compilePhrase).filter(p => p.length);
+      terms.push({
+        id: String(entry.id),
+        term: String(entry.term),
+        definition: String(entry.definition),
+        phrases,
+        occurrences: []
       });
-      node.innerHTML = html;
     });
+    return terms;
   }
 
-  document.addEventListener("DOMContentLoaded", () => {
-    wrapGlossaryTerms();
-  });
-})();
-// scripts.js
-(function(){
-  const bar = document.getElementById("read-progress"); if(!bar) return;
-  const onScroll = () => {
-    const h = document.documentElement;
-    const p = (h.scrollTop)/(h.scrollHeight - h.clientHeight);
-    bar.style.width = (p*100)+"%";
-  };
-  document.addEventListener("scroll", onScroll,{passive:true}); onScroll();
-})();
-// scripts.js
-(function(){
-  const heads = document.querySelectorAll(".article-main h2, .article-main h3");
-  heads.forEach(h=>{
-    if(!h.id) h.id = h.textContent.trim().toLowerCase().replace(/[^\wа-яё]+/gi,"-");
-    const a = document.createElement("a");
-    a.className = "anchor-link"; a.href = "#"+h.id; a.title="Скопировать ссылку";
-    a.textContent = ""; a.addEventListener("click",(e)=>{ e.preventDefault(); navigator.clipboard.writeText(location.origin+location.pathname+"#"+h.id); history.replaceState(null,"","#"+h.id);});
-    a.setAttribute("aria-label", "Скопировать ссылку на раздел");
-    h.appendChild(a);
-    // На всякий случай очищаем текст у всех уже добавленных якорей
-document.querySelectorAll(".anchor-link").forEach(n => n.textContent = "");
-
-  });
-})();
+  /* ---- Поиск в тексте ---- */
 
+  // Слова одного текстового узла с позициями
+  function tokenize(text) {
+    const tokens = [];
+    const re = /[\p{L}\p{N}]+/gu;
+    let m;
+    while ((m = re.exec(text))) {
+      tokens.push({ text: normalize(m[0]), start: m.index, end: m.index + m[0].length });
+    }
+    return tokens;
+  }
 
-// --- TOC: smooth scroll + robust active section highlight ---
-(function initTocScrollAndSpy_v2() {
-  const toc = document.querySelector('.article-toc');
-  const links = [...document.querySelectorAll('.article-toc .toc-link')];
-  const sections = [...document.querySelectorAll('.article-section[id]')];
-  if (!toc || !links.length || !sections.length) return;
-
-  const tocScroll = document.querySelector('.article-toc .toc-content');
-  const linkById = new Map(links.map((el) => [el.getAttribute('href')?.replace('#',''), el]));
-  let rafId = 0;
+  // Слова фразы должны идти подряд, через пробелы или дефис
+  function matchAt(text, tokens, i, phrase) {
+    if (i + phrase.length > tokens.length) return 0;
+    for (let k = 0; k < phrase.length; k++) {
+      const token = tokens[i + k];
+      if (k && !/^[\s -]+$/.test(text.slice(tokens[i + k - 1].end, token.start))) return 0;
+      if (!wordMatches(token.text, phrase[k])) return 0;
+    }
+    return phrase.length;
+  }
 
-  const getHeaderOffset = () => {
-    const header = document.querySelector('header');
-    const h = header ? (header.getBoundingClientRect().height || 0) : 0;
-    return Math.max(0, h + 12); // маленький зазор
-  };
+  // Вхождения в одном узле слева направо; длинные фразы важнее коротких,
+  // термин, уже найденный в этом разделе, пропускается
+  function findMatches(text, terms, used) {
+    const tokens = tokenize(text);
+    const matches = [];
+    for (let i = 0; i < tokens.length; i++) {
+      let best = null;
+      terms.forEach(term => {
+        if (used.has(term.id)) return;
+        term.phrases.forEach(phrase => {
+          const length = matchAt(text, tokens, i, phrase);
+          if (length && (!best || length > best.length)) best = { term, length };
+        });
+      });
+      if (!best) continue;
+      used.add(best.term.id);
+      matches.push({ term: best.term, start: tokens[i].start, end: tokens[i + best.length - 1].end });
+      i += best.length - 1;
+    }
+    return matches;
+  }
 
-  const scrollToTarget = (el) => {
-    const top = window.scrollY + el.getBoundingClientRect().top - getHeaderOffset();
-    window.scrollTo({ top, behavior: 'smooth' });
-  };
+  function textNodes(section) {
+    const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT, {
+      acceptNode: node => node.nodeValue.trim() && !node.parentElement.closest(SKIP)
+        ? NodeFilter.FILTER_ACCEPT
+        : NodeFilter.FILTER_REJECT
+    });
+    const nodes = [];
+    while (walker.nextNode()) nodes.push(walker.currentNode);
+    return nodes;
+  }
 
-  // Плавный скролл по клику
-  toc.addEventListener('click', (e) => {
-    const a = e.target.closest('.toc-link');
-    if (!a) return;
-    const id = a.getAttribute('href');
-    if (!id || !id.startsWith('#')) return;
-    const target = document.querySelector(id);
-    if (!target) return;
-    e.preventDefault();
-    scrollToTarget(target);
-    history.pushState(null, '', id);
-  });
+  function createTermElement(term) {
+    const span = document.createElement('span');
+    span.className = 'term';
+    span.id = `gl-${term.id}-${term.occurrences.length + 1}`;
+    span.tabIndex = 0;
+    span.dataset.term = term.id;
+    return span;
+  }
 
-  // Подсветка активного пункта
-  const setActive = (id) => {
-    links.forEach((l) => {
-      const active = l.getAttribute('href') === `#${id}`;
-      l.classList.toggle('active', active);
-      if (active) {
-        l.setAttribute('aria-current', 'true');
-        if (tocScroll) {
-          const rectL = l.getBoundingClientRect();
-          const rectC = tocScroll.getBoundingClientRect();
-          const outOfView = rectL.top < rectC.top || rectL.bottom > rectC.bottom;
-          if (outOfView) l.scrollIntoView({ block: 'nearest', inline: 'nearest' });
-        }
-      } else {
-        l.removeAttribute('aria-current');
-      }
+  // Разметка меняется только разбиением текстовых узлов: ссылки,
+  // обработчики и соседние элементы остаются нетронутыми
+  function markSection(section, terms) {
+    const used = new Set(Array.from(section.querySelectorAll('.term[data-term]'), el => el.dataset.term));
+    const heading = section.querySelector('h2, h3');
+    const title = heading ? heading.textContent.replace(/\s+/g, ' ').trim() : '';
+
+    textNodes(section).forEach(node => {
+      const matches = findMatches(node.nodeValue, terms, used);
+      let rest = node;
+      let offset = 0;
+      matches.forEach(({ term, start, end }) => {
+        const target = rest.splitText(start - offset);
+        rest = target.splitText(end - start);
+        offset = end;
+        const span = createTermElement(term);
+        target.parentNode.insertBefore(span, target);
+        span.appendChild(target);
+        term.occurrences.push({ id: span.id, section: section.id, title });
+      });
     });
-  };
+  }
 
-  // Быстрый расчёт «текущей» секции по позициям (фолбэк и подтяжка поведения IO)
-  const computeCurrentSection = () => {
-    const offset = getHeaderOffset() + 8;
-    const viewportTop = offset;
-    const viewportBottom = window.innerHeight;
-
-    // 1) если в самом низу страницы — активируем последнюю секцию
-    const atBottom = Math.ceil(window.scrollY + window.innerHeight) >= document.documentElement.scrollHeight - 2;
-    if (atBottom) return sections[sections.length - 1].id;
-
-    // 2) ищем первую секцию, верх которой не ниже «виртуального» верха
-    let current = sections[0].id;
-    for (const s of sections) {
-      const r = s.getBoundingClientRect();
-      if (r.top - offset <= 0 && r.bottom > Math.min(viewportTop, viewportBottom * 0.25)) {
-        current = s.id;
-      }
+  /* ---- Алфавитный указатель ---- */
+
+  const letterOf = term => normalize(term.term).charAt(0).toUpperCase();
+
+  function renderIndex(container, terms) {
+    container.querySelectorAll('.glossary-letters, .glossary-groups, .glossary-empty').forEach(el => el.remove());
+    if (!terms.length) {
+      const empty = document.createElement('p');
+      empty.className = 'glossary-empty';
+      empty.textContent = 'Глоссарий не загрузился.';
+      container.appendChild(empty);
+      return;
     }
-    return current;
-  };
 
-  // Throttle через rAF
-  const onScrollThrottled = () => {
-    if (rafId) return;
-    rafId = requestAnimationFrame(() => {
-      rafId = 0;
-      setActive(computeCurrentSection());
+    // Латиница, затем кириллица — как в обычных словарях
+    const sorted = terms.slice().sort((a, b) => {
+      const ca = isCyrillic(normalize(a.term)), cb = isCyrillic(normalize(b.term));
+      return ca === cb ? a.term.localeCompare(b.term, 'ru', { sensitivity: 'base' }) : ca - cb;
+    });
+    const groups = new Map();
+    sorted.forEach(term => {
+      const letter = letterOf(term);
+      if (!groups.has(letter)) groups.set(letter, []);
+      groups.get(letter).push(term);
     });
-  };
 
-  // IntersectionObserver: чувствительнее к коротким секциям
-  let observer = null;
-  const setupObserver = () => {
-    if (observer) {
-      observer.disconnect();
-      observer = null;
-    }
-    const offset = getHeaderOffset();
-    observer = new IntersectionObserver((entries) => {
-      // выбираем самую «верхнюю» видимую секцию (с поправкой на хедер)
-      const cand = entries
-        .filter(e => e.isIntersecting)
-        .map(e => ({ id: e.target.id, top: e.boundingClientRect.top }))
-        .sort((a, b) => a.top - b.top)[0];
-
-      if (cand && linkById.has(cand.id)) {
-        setActive(cand.id);
-      } else {
-        // если IO не дал уверенного кандидата — считаем вручную
-        setActive(computeCurrentSection());
-      }
-    }, {
-      root: null,
-      rootMargin: `-${offset}px 0px -60% 0px`,
-      // Мелкие пороги, чтобы ловить короткие блоки
-      threshold: [0, 0.05, 0.1, 0.15, 0.2, 0.33, 0.5, 0.67, 0.85, 1],
+    const nav = document.createElement('nav');
+    nav.className = 'glossary-letters';
+    nav.setAttribute('aria-label', 'Алфавитный указатель');
+    const wrap = document.createElement('div');
+    wrap.className = 'glossary-groups';
+
+    Array.from(groups.keys()).forEach((letter, index) => {
+      const groupId = `glossary-letter-${index + 1}`;
+      const link = document.createElement('a');
+      link.href = `#${groupId}`;
+      link.textContent = letter;
+      nav.appendChild(link);
+
+      const group = document.createElement('div');
+      group.className = 'glossary-group';
+      group.id = groupId;
+      const title = document.createElement('h3');
+      title.className = 'glossary-group__letter';
+      title.textContent = letter;
+      const list = document.createElement('dl');
+      groups.get(letter).forEach(term => {
+        const dt = document.createElement('dt');
+        dt.id = `glossary-${term.id}`;
+        dt.textContent = term.term;
+        const dd = document.createElement('dd');
+        const definition = document.createElement('p');
+        definition.textContent = term.definition;
+        dd.appendChild(definition);
+        dd.appendChild(renderRefs(term));
+        list.append(dt, dd);
+      });
+      group.append(title, list);
+      wrap.appendChild(group);
     });
 
-    sections.forEach(s => observer.observe(s));
-  };
+    container.append(nav, wrap);
+  }
 
-  // Перенастраиваем IO при ресайзе (если хедер меняет высоту)
-  window.addEventListener('resize', () => {
-    setupObserver();
-    onScrollThrottled();
-  }, { passive: true });
+  // Обратные ссылки на каждое место, где термин размечен в тексте
+  function renderRefs(term) {
+    const refs = document.createElement('p');
+    refs.className = 'glossary-refs';
+    if (!term.occurrences.length) {
+      refs.textContent = 'В тексте статьи не встречается.';
+      return refs;
+    }
+    refs.appendChild(document.createTextNode('Встречается: '));
+    term.occurrences.forEach((occurrence, i) => {
+      if (i) refs.appendChild(document.createTextNode(', '));
+      const link = document.createElement('a');
+      link.href = `#${occurrence.id}`;
+      link.textContent = occurrence.title || `место ${i + 1}`;
+      refs.appendChild(link);
+    });
+    return refs;
+  }
 
-  // При скролле всегда уточняем активный пункт (фолбэк для экзотики)
-  window.addEventListener('scroll', onScrollThrottled, { passive: true });
+  /* ---- Загрузка и API ---- */
 
-  // Корректная прокрутка при открытии/смене хэша
-  const scrollToHash = () => {
-    if (!location.hash) return;
-    const target = document.querySelector(location.hash);
-    if (!target) return;
-    scrollToTarget(target);
+  let terms = [];
+  const byId = new Map();
+
+  function apply(root) {
+    const index = document.querySelector('[data-glossary-index]');
+    const sections = Array.from(root.querySelectorAll('.article-section'))
+      .filter(section => !section.matches('[data-glossary-index]'));
+    (sections.length ? sections : [root]).forEach(section => markSection(section, terms));
+    if (index) renderIndex(index, terms);
+  }
+
+  function init() {
+    const root = document.querySelector('.article-main');
+    if (!root) return;
+    const url = root.getAttribute('data-glossary-src') || GLOSSARY_URL;
+
+    fetch(url)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.json();
+      })
+      .then(data => compileTerms(Array.isArray(data && data.terms) ? data.terms : []))
+      // Без словаря статья остаётся как есть, указатель — пустым
+      .catch(() => [])
+      .then(compiled => {
+        terms = compiled;
+        terms.forEach(term => byId.set(term.id, term));
+        apply(root);
+        document.dispatchEvent(new CustomEvent('dm:glossary-ready', { detail: DM.glossary }));
+      });
+  }
+
+  DM.glossary = {
+    get: id => byId.get(id) || null,
+    terms: () => terms.slice(),
+    // Для динамически добавленного текста: размечает его по тем же правилам
+    apply: root => apply(root || document.querySelector('.article-main'))
   };
-  window.addEventListener('hashchange', scrollToHash);
-
-  // Первый запуск
-  setupObserver();
-  setTimeout(() => {
-    setActive(computeCurrentSection());
-    scrollToHash();
-  }, 0);
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
 })();
+/* === Подсказки к терминам: мышь, клавиатура, касание и скринридеры === */
+(function () {
+  const DM = window.DM = window.DM || {};
+
+  const OPEN_DELAY = 150;     // мс наведения до показа
+  const CLOSE_DELAY = 250;    // успеть перевести курсор на ссылку в подсказке
+  const GAP = 8;              // зазор от термина и краёв окна, px
+
+  let popover = null;
+  let active = null;
+  let openTimer = 0;
+  let closeTimer = 0;
+  let lastPointer = { type: '', time: 0 };
+  let returningFocus = false;   // Esc вернул фокус на термин — заново не открывать
+
+  // Одна подсказка на страницу; вставляется сразу после термина, чтобы
+  // Tab с термина вёл на «Подробнее», а позиция — fixed поверх текста.
+  // Роль — немодальный dialog: в tooltip не может быть ссылки
+  function ensurePopover() {
+    if (popover) return popover;
+    popover = document.createElement('span');
+    popover.className = 'term-popover';
+    popover.id = 'term-popover';
+    popover.setAttribute('role', 'dialog');
+    popover.setAttribute('aria-modal', 'false');
+    popover.hidden = true;
+    popover.innerHTML =
+      '<span class="term-popover__title" id="term-popover-title"></span>' +
+      '<span class="term-popover__text" id="term-popover-text"></span>' +
+      '<a class="term-popover__more">Подробнее в глоссарии</a>';
+    popover.addEventListener('pointerenter', () => clearTimeout(closeTimer));
+    popover.addEventListener('pointerleave', e => {
+      if (e.pointerType === 'mouse') scheduleClose();
+    });
+    popover.querySelector('.term-popover__more').addEventListener('click', () => close());
+    return popover;
+  }
 
+  // Текст — из глоссария по data-term, у старой разметки — из data-tip
+  function describe(term) {
+    const entry = DM.glossary && term.dataset.term ? DM.glossary.get(term.dataset.term) : null;
+    const anchor = entry ? document.getElementById(`glossary-${entry.id}`) : null;
+    return {
+      title: entry ? entry.term : '',
+      text: entry ? entry.definition : (term.getAttribute('data-tip') || ''),
+      href: anchor ? `#${anchor.id}` : ''
+    };
+  }
 
+  function open(term) {
+    clearTimeout(openTimer);
+    clearTimeout(closeTimer);
+    if (active === term) return;
+    const { title, text, href } = describe(term);
+    if (!text) return;
+    if (active) close();
+
+    const tip = ensurePopover();
+    tip.querySelector('.term-popover__title').textContent = title;
+    tip.querySelector('.term-popover__title').hidden = !title;
+    tip.querySelector('.term-popover__text').textContent = text;
+    // У подсказки из data-tip нет заголовка — диалог называется самим термином
+    if (title) {
+      tip.setAttribute('aria-labelledby', 'term-popover-title');
+      tip.removeAttribute('aria-label');
+    } else {
+      tip.removeAttribute('aria-labelledby');
+      tip.setAttribute('aria-label', term.textContent.trim());
+    }
+    const more = tip.querySelector('.term-popover__more');
+    more.hidden = !href;
+    if (href) more.setAttribute('href', href);
+
+    term.after(tip);
+    term.setAttribute('aria-describedby', 'term-popover-text');
+    tip.hidden = false;
+    active = term;
+    position();
+  }
 
+  function close(restoreFocus) {
+    clearTimeout(openTimer);
+    clearTimeout(closeTimer);
+    if (!active) return;
+    const term = active;
+    active = null;
+    popover.hidden = true;
+    term.removeAttribute('aria-describedby');
+    if (restoreFocus) {
+      returningFocus = true;
+      term.focus();
+      returningFocus = false;
+    }
+  }
 
+  function scheduleOpen(term) {
+    clearTimeout(closeTimer);
+    clearTimeout(openTimer);
+    openTimer = setTimeout(() => open(term), OPEN_DELAY);
+  }
 
+  function scheduleClose() {
+    clearTimeout(openTimer);
+    clearTimeout(closeTimer);
+    closeTimer = setTimeout(() => close(), CLOSE_DELAY);
+  }
 
+  // Под термином, а если снизу не хватает места — над ним;
+  // по горизонтали прижимается к краям окна
+  function position() {
+    if (!active) return;
+    const rect = active.getClientRects()[0] || active.getBoundingClientRect();
+    const tip = popover;
+    const width = tip.offsetWidth;
+    const height = tip.offsetHeight;
+    const vw = document.documentElement.clientWidth || window.innerWidth;
+    const vh = window.innerHeight;
+
+    let top = rect.bottom + GAP;
+    if (top + height > vh - GAP && rect.top - GAP - height >= GAP) top = rect.top - GAP - height;
+    const left = Math.max(GAP, Math.min(rect.left, vw - width - GAP));
+    tip.style.top = `${Math.round(top)}px`;
+    tip.style.left = `${Math.round(left)}px`;
+  }
 
+  const termFrom = target => (target && target.closest ? target.closest('.term') : null);
+  const inside = node => !!node && ((active && active.contains(node)) || (popover && popover.contains(node)));
 
+  // Старая разметка .term без tabindex тоже должна быть доступна с клавиатуры
+  function makeFocusable(root) {
+    (root || document).querySelectorAll('.term:not([tabindex])').forEach(term => {
+      term.tabIndex = 0;
+    });
+  }
 
+  /* ---- События: делегирование, чтобы работали и термины, размеченные позже ---- */
 
+  document.addEventListener('pointerdown', e => {
+    lastPointer = { type: e.pointerType, time: Date.now() };
+    if (active && !inside(e.target) && !termFrom(e.target)) close();
+  }, { passive: true });
 
+  document.addEventListener('pointerover', e => {
+    if (e.pointerType !== 'mouse') return;
+    const term = termFrom(e.target);
+    if (term) scheduleOpen(term);
+    else if (inside(e.target)) clearTimeout(closeTimer);
+  });
 
+  document.addEventListener('pointerout', e => {
+    if (e.pointerType !== 'mouse') return;
+    const term = termFrom(e.target);
+    if (!term || term.contains(e.relatedTarget) || inside(e.relatedTarget)) return;
+    if (active === term) scheduleClose();
+    else clearTimeout(openTimer);
+  });
 
+  // Касание и перо: тап по термину показывает подсказку, повторный — прячет
+  document.addEventListener('click', e => {
+    const term = termFrom(e.target);
+    if (!term) return;
+    const touch = lastPointer.type === 'touch' || lastPointer.type === 'pen';
+    if (touch && active === term) close();
+    else open(term);
+  });
 
+  // Фокус с клавиатуры открывает сразу; фокус от касания разберёт click
+  document.addEventListener('focusin', e => {
+    const term = termFrom(e.target);
+    if (!term || returningFocus || Date.now() - lastPointer.time < 500) return;
+    open(term);
+  });
 
-/* === AI Evolution: плавный скролл + подсветка активного пункта === */
-(function() {
-  const tocRoot = document.querySelector('[data-toc-root]');
-  if (!tocRoot) return;
+  document.addEventListener('focusout', e => {
+    if (!active || !inside(e.target) || inside(e.relatedTarget)) return;
+    close();
+  });
 
-  // 1) Плавный скролл по якорям
-  document.querySelectorAll('.toc-link').forEach(a => {
-    a.addEventListener('click', (e) => {
-      const id = a.getAttribute('href');
-      if (!id || !id.startsWith('#')) return;
-      const target = document.querySelector(id);
-      if (!target) return;
-      e.preventDefault();
-      target.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      history.replaceState(null, '', id);
-    });
+  document.addEventListener('keydown', e => {
+    if (e.key !== 'Escape' || !active) return;
+    const focusInside = inside(document.activeElement);
+    close(focusInside);
+    if (focusInside) e.stopPropagation();
   });
 
-  // 2) Подсветка активного пункта TOC (scrollspy)
-  const tocLinks = Array.from(document.querySelectorAll('.toc-link'));
-  const sections = tocLinks
-    .map(link => document.querySelector(link.getAttribute('href')))
-    .filter(Boolean);
+  window.addEventListener('scroll', position, { passive: true, capture: true });
+  window.addEventListener('resize', position, { passive: true });
+  document.addEventListener('dm:glossary-ready', () => makeFocusable());
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', () => makeFocusable());
+  else makeFocusable();
 
-  const activate = (id) => {
-    tocLinks.forEach(l => l.classList.toggle('is-active', l.getAttribute('href') === `#${id}`));
-  };
+  DM.termTip = { open, close };
+})();
+/* === Формулы: локальный KaTeX и подсветка обозначений === */
+(function () {
+  const DM = window.DM = window.DM || {};
 
-  const io = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      if (entry.isIntersecting) activate(entry.target.id);
-    });
-  }, { rootMargin: '-35% 0px -50% 0px', threshold: 0.01 });
+  const DELIMITERS = [['$$', '$$'], ['\\[', '\\]'], ['\\(', '\\)'], ['$', '$']];
+  const SYMBOL_CANDIDATES = '.katex-html .mord, .katex-html .mop';
 
-  sections.forEach(sec => io.observe(sec));
-})();
+  // «$$ y = f(x) $$» -> «y = f(x)»; без разделителей — как есть
+  function stripDelimiters(source) {
+    const str = source.trim();
+    for (const [open, close] of DELIMITERS) {
+      if (str.length > open.length + close.length && str.startsWith(open) && str.endsWith(close)) {
+        return str.slice(open.length, -close.length).trim();
+      }
+    }
+    return str;
+  }
 
-/* === Копирование содержимого из code/pre блоков целиком (исправлено) === */
-(function() {
-  document.querySelectorAll('.code-block .copy-code').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const pre = btn.closest('.code-block')?.querySelector('pre');
-      if (!pre) return;
-      const text = pre.innerText; // Берём весь текст, не только первую строку
-      navigator.clipboard.writeText(text).then(() => {
-        // мини-уведомление
-        const n = document.createElement('div');
-        n.className = 'copy-toast';
-        n.textContent = 'Скопировано';
-        Object.assign(n.style, {
-          position: 'fixed', left: '50%', bottom: '24px', transform: 'translateX(-50%)',
-          background: 'var(--accent)', color: '#fff', padding: '10px 14px',
-          borderRadius: '10px', zIndex: 9999, boxShadow: 'var(--shadow)'
-        });
-        document.body.appendChild(n);
-        setTimeout(() => n.remove(), 1400);
+  // Исходник LaTeX остаётся в data-tex: его копирует кнопка в .code-header
+  function renderMath(el) {
+    if (el.dataset.tex === undefined) {
+      el.dataset.tex = stripDelimiters(el.textContent.replace(/\s+/g, ' '));
+    }
+    try {
+      window.katex.render(el.dataset.tex, el, {
+        displayMode: el.classList.contains('math-block'),
+        output: 'htmlAndMathml',
+        throwOnError: false
       });
-    });
-  });
-})();
-
+      el.classList.add('math-rendered');
+    } catch (_) { /* формула остаётся исходным текстом */ }
+  }
 
+  /* ---- Подсветка обозначений ---- */
 
-// === AI-EVOLUTION: вспомогательные скрипты для статьи ===
+  // В разметке KaTeX между буквами бывают пробелы нулевой ширины
+  const plain = str => String(str || '').replace(/[\s\u200b]+/g, '');
 
-// Smooth scroll for TOC
-(function(){
-  const links = document.querySelectorAll('.article-toc .toc-link');
-  links.forEach(a => {
-    a.addEventListener('click', e => {
-      const href = a.getAttribute('href');
-      if (href && href.startsWith('#')) {
-        e.preventDefault();
-        const target = document.querySelector(href);
-        if (target) target.scrollIntoView({behavior:'smooth', block:'start'});
+  // Как обозначение выглядит после отрисовки: «h_{t-1}» -> «ht−1»
+  const symbolTexts = new Map();
+  function renderedText(tex) {
+    if (!symbolTexts.has(tex)) {
+      const probe = document.createElement('span');
+      try {
+        window.katex.render(tex, probe, { output: 'html', throwOnError: false });
+      } catch (err) {
+        probe.textContent = tex;
       }
-    });
-  });
-})();
+      symbolTexts.set(tex, plain(probe.textContent));
+    }
+    return symbolTexts.get(tex);
+  }
 
-// ScrollSpy (IntersectionObserver)
-(function(){
-  const sections = document.querySelectorAll('.article-main .article-section[id]');
-  const links = Array.from(document.querySelectorAll('.article-toc .toc-link'));
-  if (!sections.length || !links.length) return;
-
-  const map = new Map(links.map(l => [l.getAttribute('href').slice(1), l]));
-  const io = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      const id = entry.target.id;
-      const link = map.get(id);
-      if (!link) return;
-      if (entry.isIntersecting) {
-        links.forEach(l => l.classList.remove('active'));
-        link.classList.add('active');
-        const toc = document.querySelector('.article-toc .toc-content');
-        if (toc) { toc.scrollTop = link.offsetTop - 80; }
+  // Пояснение относится к ближайшей формуле перед ним
+  function formulasFor(explainer) {
+    let node = explainer.previousElementSibling;
+    while (node) {
+      if (node.matches('.math-block')) return [node];
+      const inner = node.querySelectorAll('.math-block');
+      if (inner.length) return Array.from(inner);
+      node = node.previousElementSibling;
+    }
+    return [];
+  }
+
+  // Элементы формулы с тем же текстом; вложенные совпадения отбрасываются
+  function findSymbols(formula, text) {
+    const matches = Array.from(formula.querySelectorAll(SYMBOL_CANDIDATES))
+      .filter(el => plain(el.textContent) === text);
+    return matches.filter(el => !matches.some(other => other !== el && other.contains(el)));
+  }
+
+  function linkExplainer(explainer) {
+    const notes = Array.from(explainer.querySelectorAll('.formula-symbol[data-symbol]'));
+    const formulas = formulasFor(explainer);
+    if (!notes.length || !formulas.length) return;
+
+    const groups = new Map();   // обозначение -> { notes, symbols }
+    notes.forEach(note => {
+      const tex = note.dataset.symbol;
+      if (!groups.has(tex)) {
+        const text = renderedText(tex);
+        const symbols = formulas.reduce((all, formula) => all.concat(findSymbols(formula, text)), []);
+        groups.set(tex, { notes: [], symbols });
+        symbols.forEach(el => {
+          el.classList.add('math-symbol');
+          el.dataset.symbol = tex;
+        });
       }
+      groups.get(tex).notes.push(note);
+      note.tabIndex = 0;
     });
-  }, {rootMargin: '-40% 0px -55% 0px', threshold: [0, .2, .4, .6, .8, 1]});
-  sections.forEach(sec => io.observe(sec));
-})();
 
-// Copy code buttons (if any code-blocks exist)
-(function(){
-  document.querySelectorAll('.code-block .copy-code').forEach(btn => {
-    btn.addEventListener('click', () => {
-      const pre = btn.closest('.code-block').querySelector('pre');
-      if (!pre) return;
-      const text = pre.innerText;
-      navigator.clipboard.writeText(text).then(() => {
-        btn.classList.add('copied');
-        setTimeout(() => btn.classList.remove('copied'), 1200);
+    const setActive = (tex, on) => {
+      const group = groups.get(tex);
+      if (!group) return;
+      group.notes.concat(group.symbols).forEach(el => el.classList.toggle('is-highlighted', on));
+    };
+    const symbolOf = target => {
+      const el = target.closest && target.closest('[data-symbol]');
+      return el && groups.has(el.dataset.symbol) ? el.dataset.symbol : null;
+    };
+
+    [explainer].concat(formulas).forEach(root => {
+      root.addEventListener('pointerover', e => {
+        const tex = symbolOf(e.target);
+        if (tex) setActive(tex, true);
+      });
+      root.addEventListener('pointerout', e => {
+        const tex = symbolOf(e.target);
+        if (tex && symbolOf(e.relatedTarget || document.body) !== tex) setActive(tex, false);
       });
     });
+    explainer.addEventListener('focusin', e => {
+      const tex = symbolOf(e.target);
+      if (tex) setActive(tex, true);
+    });
+    explainer.addEventListener('focusout', e => {
+      const tex = symbolOf(e.target);
+      if (tex) setActive(tex, false);
+    });
+  }
+
+  function init() {
+    if (!window.katex) return;
+    document.querySelectorAll('.math-block, .math-inline').forEach(renderMath);
+    document.querySelectorAll('.formula-explainer').forEach(linkExplainer);
+  }
+
+  DM.math = { render: renderMath };
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', init);
+  else init();
+})();
+// scripts.js
+(function(){
+  const heads = document.querySelectorAll(".article-main h2, .article-main h3");
+  heads.forEach(h=>{
+    if(!h.id) h.id = h.textContent.trim().toLowerCase().replace(/[^\wа-яё]+/gi,"-");
+    const a = document.createElement("a");
+    a.className = "anchor-link"; a.href = "#"+h.id; a.title="Скопировать ссылку";
+    a.textContent = ""; a.addEventListener("click",(e)=>{ e.preventDefault(); navigator.clipboard.writeText(location.origin+location.pathname+"#"+h.id); history.replaceState(null,"","#"+h.id);});
+    a.setAttribute("aria-label", "Скопировать ссылку на раздел");
+    h.appendChild(a);
+    // На всякий случай очищаем текст у всех уже добавленных якорей
+document.querySelectorAll(".anchor-link").forEach(n => n.textContent = "");
+
   });
 })();
 
-// Image Lightbox
-(function(){
-  const lb = document.getElementById('imageLightbox');
-  if (!lb) return;
-  const imgEl = lb.querySelector('.lightbox-img');
-  const capEl = lb.querySelector('.lightbox-caption');
-  const closeBtn = lb.querySelector('.lightbox-close');
-  const backdrop = lb.querySelector('.lightbox-backdrop');
-
-  function open(src, alt){
-    imgEl.src = src; imgEl.alt = alt || '';
-    capEl.textContent = alt || '';
-    lb.classList.add('active');
-    document.body.style.overflow = 'hidden';
+
+/* === Оглавление статьи: построение, подсветка, сворачивание === */
+(function () {
+  const DM = window.DM = window.DM || {};
+
+  const DEFAULTS = {
+    sections: '.article-section[id]',   // разделы статьи
+    title: 'h2, h3',                    // заголовок раздела — первый подходящий
+    subheadings: ':scope > h3',         // подразделы внутри раздела
+    scroller: '.toc-content',           // прокручиваемая часть оглавления
+    nav: '.toc-nav',                    // куда строить список
+    build: true,                        // false — оставить ссылки из разметки как есть
+    collapsible: true,                  // подразделы сворачиваются, у активного раскрыты
+    headerOffset: 'auto',               // px или 'auto': --header-offset либо высота шапки
+    gap: 12,                            // зазор под шапкой, px
+    autoScroll: true,                   // держать активный пункт видимым в оглавлении
+    activeClass: 'active'
+  };
+
+  const reducedMotion = () => DM.motion.reduced();
+
+  // data-toc-offset="80", data-toc-autoscroll="false", data-toc-build="false" ...
+  function optionsFromData(root) {
+    const map = { offset: 'headerOffset', autoscroll: 'autoScroll', build: 'build', collapsible: 'collapsible', gap: 'gap' };
+    const opts = {};
+    Object.keys(map).forEach(key => {
+      const raw = root.getAttribute(`data-toc-${key}`);
+      if (raw == null) return;
+      if (raw === 'true' || raw === 'false') opts[map[key]] = raw === 'true';
+      else opts[map[key]] = isNaN(parseFloat(raw)) ? raw : parseFloat(raw);
+    });
+    return opts;
   }
-  function close(){
-    lb.classList.remove('active');
-    document.body.style.overflow = '';
-    imgEl.src = '';
+
+  function slugify(text) {
+    return String(text).trim().toLowerCase().replace(/ё/g, 'е').replace(/[^\wа-я]+/gi, '-').replace(/^-+|-+$/g, '');
   }
 
-  document.querySelectorAll('.image-zoom img').forEach(img => {
-    img.addEventListener('click', () => open(img.src, img.alt));
-  });
-  [closeBtn, backdrop].forEach(el => el && el.addEventListener('click', close));
-  window.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+  function ensureId(el, fallback) {
+    if (el.id) return el.id;
+    const base = slugify(el.textContent) || fallback;
+    let id = base;
+    for (let n = 2; document.getElementById(id); n++) id = `${base}-${n}`;
+    el.id = id;
+    return id;
+  }
+
+  function createToc(root, options) {
+    const opts = Object.assign({}, DEFAULTS, optionsFromData(root), options);
+    const header = document.querySelector('header, .header, .site-header');
+    const scroller = root.querySelector(opts.scroller);
+    let entries = [];      // { id, target, link, level, parent, item }
+    let activeId = null;
+    let rafId = 0;
+
+    /* ---- Отступ под шапку и прокрутка ---- */
+
+    function headerOffset() {
+      if (typeof opts.headerOffset === 'number') return opts.headerOffset;
+      const cssVar = getComputedStyle(document.documentElement).getPropertyValue('--header-offset').trim();
+      if (cssVar.endsWith('px')) return parseFloat(cssVar);
+      return (header ? header.getBoundingClientRect().height : 0) + opts.gap;
+    }
+
+    function scrollTo(target) {
+      if (!target) return;
+      const top = window.scrollY + target.getBoundingClientRect().top - headerOffset();
+      window.scrollTo({ top: Math.max(top, 0), behavior: reducedMotion() ? 'auto' : 'smooth' });
+      // Фокус для клавиатуры и скринридеров
+      if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+      target.focus({ preventScroll: true });
+    }
+
+    /* ---- Построение ---- */
+
+    function collect() {
+      const list = [];
+      document.querySelectorAll(opts.sections).forEach(section => {
+        const heading = section.querySelector(opts.title);
+        const title = section.getAttribute('data-toc-title') || (heading ? heading.textContent : '');
+        if (!title.trim()) return;
+        const entry = { id: section.id, target: section, title: title.replace(/\s+/g, ' ').trim(), level: 2, children: [] };
+        if (opts.subheadings) {
+          section.querySelectorAll(opts.subheadings).forEach((sub, i) => {
+            if (sub === heading) return;
+            entry.children.push({
+              id: ensureId(sub, `${section.id}-${i + 1}`),
+              target: sub,
+              title: sub.textContent.replace(/\s+/g, ' ').trim(),
+              level: 3,
+              parent: entry
+            });
+          });
+        }
+        list.push(entry);
+      });
+      return list;
+    }
+
+    function renderLink(entry) {
+      const link = document.createElement('a');
+      link.className = entry.level > 2 ? 'toc-link toc-link--sub' : 'toc-link';
+      link.href = `#${entry.id}`;
+      link.textContent = entry.title;
+      entry.link = link;
+      return link;
+    }
+
+    function build() {
+      const nav = root.querySelector(opts.nav) || root;
+      const tree = collect();
+      const list = document.createElement('ul');
+      list.className = 'toc-list';
+      tree.forEach(entry => {
+        const item = document.createElement('li');
+        item.className = 'toc-item';
+        item.appendChild(renderLink(entry));
+        entry.item = item;
+        if (entry.children.length) {
+          item.classList.add('has-children');
+          const sub = document.createElement('ul');
+          sub.className = 'toc-sublist';
+          sub.id = `toc-sub-${entry.id}`;
+          entry.children.forEach(child => {
+            const li = document.createElement('li');
+            li.appendChild(renderLink(child));
+            sub.appendChild(li);
+          });
+          if (opts.collapsible) {
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'toc-toggle';
+            toggle.setAttribute('aria-controls', sub.id);
+            toggle.setAttribute('aria-label', `Подразделы: ${entry.title}`);
+            item.appendChild(toggle);
+            entry.toggle = toggle;
+            entry.sublist = sub;
+            setExpanded(entry, false);
+          }
+          item.appendChild(sub);
+        }
+        list.appendChild(item);
+      });
+      const old = nav.querySelector(':scope > ul');
+      if (old) old.replaceWith(list);
+      else nav.appendChild(list);
+      return tree.reduce((all, entry) => all.concat(entry, entry.children), []);
+    }
+
+    // Разметка без построения: пункты — готовые .toc-link с якорями
+    function fromMarkup() {
+      return Array.from(root.querySelectorAll('.toc-link[href^="#"]')).map(link => {
+        const target = document.getElementById(decodeURIComponent(link.getAttribute('href').slice(1)));
+        return target ? { id: target.id, target, link, level: 2, children: [] } : null;
+      }).filter(Boolean);
+    }
+
+    /* ---- Сворачивание подразделов ---- */
+
+    const find = id => entries.find(entry => entry.id === id);
+
+    function setExpanded(entry, expanded, pinned) {
+      if (!entry.toggle) return;
+      entry.expanded = expanded;
+      if (pinned !== undefined) entry.pinned = pinned;
+      entry.toggle.setAttribute('aria-expanded', String(expanded));
+      entry.sublist.hidden = !expanded;
+      entry.item.classList.toggle('is-expanded', expanded);
+    }
+
+    /* ---- Активный пункт ---- */
+
+    // Текущий — последний заголовок, верх которого уже ушёл под шапку
+    function computeCurrent() {
+      if (!entries.length) return null;
+      const atBottom = Math.ceil(window.scrollY + window.innerHeight) >= document.documentElement.scrollHeight - 2;
+      if (atBottom) return entries[entries.length - 1].id;
+      const line = headerOffset() + 8;
+      let current = entries[0].id;
+      entries.forEach(entry => {
+        if (entry.target.getBoundingClientRect().top - line <= 0) current = entry.id;
+      });
+      return current;
+    }
+
+    function keepVisible(link) {
+      if (!opts.autoScroll || !scroller || scroller.scrollHeight <= scroller.clientHeight) return;
+      const linkRect = link.getBoundingClientRect();
+      const boxRect = scroller.getBoundingClientRect();
+      if (linkRect.top >= boxRect.top && linkRect.bottom <= boxRect.bottom) return;
+      // Прокручиваем только оглавление, страницу не трогаем
+      scroller.scrollTo({
+        top: scroller.scrollTop + (linkRect.top - boxRect.top) - scroller.clientHeight / 3,
+        behavior: reducedMotion() ? 'auto' : 'smooth'
+      });
+    }
+
+    function setActive(id) {
+      if (id === activeId) return;
+      activeId = id;
+      const current = find(id) || null;
+      const section = current && (current.parent || current);
+      entries.forEach(entry => {
+        const active = entry === current || entry === section;
+        entry.link.classList.toggle(opts.activeClass, active);
+        if (entry.item) entry.item.classList.toggle(opts.activeClass, entry === section);
+        if (entry === current) entry.link.setAttribute('aria-current', 'location');
+        else entry.link.removeAttribute('aria-current');
+        // Раскрыт подраздел активного раздела и те, что открыли вручную
+        if (entry.toggle) setExpanded(entry, entry === section || !!entry.pinned);
+      });
+      if (current) keepVisible(current.link);
+      root.dispatchEvent(new CustomEvent('dm:toc-change', { bubbles: true, detail: { id } }));
+    }
+
+    function update() {
+      rafId = 0;
+      setActive(computeCurrent());
+    }
+
+    function schedule() {
+      if (!rafId) rafId = requestAnimationFrame(update);
+    }
+
+    /* ---- События ---- */
+
+    function onClick(e) {
+      const toggle = e.target.closest('.toc-toggle');
+      if (toggle) {
+        const entry = entries.find(item => item.toggle === toggle);
+        if (entry) setExpanded(entry, !entry.expanded, !entry.expanded);
+        return;
+      }
+      const link = e.target.closest('.toc-link');
+      const entry = link && entries.find(item => item.link === link);
+      if (!entry) return;
+      e.preventDefault();
+      scrollTo(entry.target);
+      history.pushState(null, '', `#${entry.id}`);
+    }
+
+    function onHeaderClick(e) {
+      if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') return;
+      e.preventDefault();
+      const collapsed = root.classList.toggle('collapsed');
+      tocHeader.setAttribute('aria-expanded', String(!collapsed));
+    }
+
+    function onHashChange() {
+      const target = location.hash && document.getElementById(decodeURIComponent(location.hash.slice(1)));
+      if (target && entries.some(entry => entry.target === target)) scrollTo(target);
+    }
+
+    // Шапка оглавления сворачивает его целиком (стили .collapsed уже есть)
+    const tocHeader = root.querySelector('.toc-header');
+    if (tocHeader && scroller) {
+      tocHeader.setAttribute('role', 'button');
+      tocHeader.setAttribute('tabindex', '0');
+      tocHeader.setAttribute('aria-expanded', String(!root.classList.contains('collapsed')));
+      if (!scroller.id) scroller.id = 'toc-content';
+      tocHeader.setAttribute('aria-controls', scroller.id);
+      tocHeader.addEventListener('click', onHeaderClick);
+      tocHeader.addEventListener('keydown', onHeaderClick);
+    }
+
+    function refresh() {
+      entries = opts.build ? build() : fromMarkup();
+      activeId = null;
+      update();
+    }
+
+    function destroy() {
+      root.removeEventListener('click', onClick);
+      window.removeEventListener('scroll', schedule);
+      window.removeEventListener('resize', schedule);
+      window.removeEventListener('hashchange', onHashChange);
+      if (tocHeader) {
+        tocHeader.removeEventListener('click', onHeaderClick);
+        tocHeader.removeEventListener('keydown', onHeaderClick);
+      }
+      if (rafId) cancelAnimationFrame(rafId);
+    }
+
+    root.addEventListener('click', onClick);
+    window.addEventListener('scroll', schedule, { passive: true });
+    window.addEventListener('resize', schedule, { passive: true });
+    window.addEventListener('hashchange', onHashChange);
+    refresh();
+    setTimeout(onHashChange, 0);
+
+    return {
+      options: opts,
+      refresh,
+      scrollTo,
+      setActive,
+      getActive: () => activeId,
+      expand: id => setExpanded(find(id) || {}, true, true),
+      collapse: id => setExpanded(find(id) || {}, false, false),
+      destroy
+    };
+  }
+
+  DM.createToc = createToc;
+
+  const root = document.querySelector('.article-toc, [data-toc-root]');
+  if (!root || !document.querySelector(DEFAULTS.sections)) return;
+  DM.toc = createToc(root);
+  DM.scrollToTarget = DM.toc.scrollTo;
 })();
 
+// === AI-EVOLUTION: вспомогательные скрипты для статьи ===
+
+
 // Read progress bar
 (function(){
   const bar = document.getElementById('read-progress');
@@ -771,60 +2142,7 @@ document.querySelectorAll(".anchor-link").forEach(n => n.textContent = "");
   document.addEventListener('scroll', onScroll, {passive: true});
   onScroll();
 })();
-// --- ScrollSpy для оглавления статьи (универсальный) ---
-(function initScrollSpy() {
-  const links = Array.from(document.querySelectorAll('.toc-link'));
-  if (!links.length) return;
-  const ids = links.map(a => a.getAttribute('href')).filter(Boolean);
-  const sections = ids.map(id => document.querySelector(id)).filter(Boolean);
-
-  const observer = new IntersectionObserver((entries) => {
-    entries.forEach(entry => {
-      const id = '#' + entry.target.id;
-      const link = document.querySelector(`.toc-link[href="${id}"]`);
-      if (!link) return;
-      if (entry.isIntersecting) {
-        document.querySelectorAll('.toc-link.active').forEach(l => l.classList.remove('active'));
-        link.classList.add('active');
-        // автопрокрутка видимой области оглавления
-        const tocContent = document.querySelector('.toc-content');
-        if (tocContent) {
-          const rect = link.getBoundingClientRect();
-          const containerRect = tocContent.getBoundingClientRect();
-          if (rect.top < containerRect.top || rect.bottom > containerRect.bottom) {
-            tocContent.scrollTo({ top: tocContent.scrollTop + (rect.top - containerRect.top) - 40, behavior: 'smooth' });
-          }
-        }
-      }
-    });
-  }, { rootMargin: '-35% 0px -55% 0px', threshold: 0.1 });
-
-  sections.forEach(sec => sec && observer.observe(sec));
-})();
-
-// --- Поддержка .term на тач-экранах (тап = показать подсказку на 2 сек) ---
-(function initTermsTouchHints(){
-  const terms = document.querySelectorAll('.ai-evolution .term');
-  let touchSupported = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
-  if (!terms.length || !touchSupported) return;
-  terms.forEach(t => {
-    t.addEventListener('touchstart', () => {
-      t.classList.add('term--show');
-      setTimeout(() => t.classList.remove('term--show'), 1800);
-    }, {passive: true});
-  });
-})();
 
-// --- Лёгкий hover-zoom для картинок (класс .image-zoom уже стилизован) ---
-(function initImageZoomHover(){
-  const imgs = document.querySelectorAll('.ai-evolution .image-zoom img');
-  imgs.forEach(img => {
-    img.addEventListener('click', () => {
-      // по клику открываем картинку в новой вкладке — просто и безопасно
-      window.open(img.getAttribute('src'), '_blank');
-    });
-  });
-})();
 // --- Mobile burger menu toggle ---
 (function () {
   function onReady(fn) {
@@ -881,7 +2199,27 @@ document.querySelectorAll(".anchor-link").forEach(n => n.textContent = "");
     });
   });
 })();
-// --- Modal logic for AI model cards ---
+/* === Simple Summary: плавный переход к разделу по клику на внутренние ссылки === */
+(function () {
+  const root = document.getElementById('simple-summary');
+  if (!root) return;
+
+  root.addEventListener('click', (e) => {
+    const a = e.target.closest('a[href^="#"]');
+    if (!a) return;
+    const id = a.getAttribute('href');
+    const target = document.querySelector(id);
+    if (!target) return;
+    e.preventDefault();
+    const header = document.querySelector('header');
+    const offset = header ? (header.getBoundingClientRect().height + 12) : 12;
+    const top = window.scrollY + target.getBoundingClientRect().top - offset;
+    window.scrollTo({ top, behavior: window.DM.motion.scrollBehavior() });
+    history.replaceState(null, '', id);
+  });
+})();
+
+// Enhance model-card tags with semantic labels per model
 (function () {
   function ready(fn) {
     if (document.readyState === 'loading') {
@@ -889,152 +2227,66 @@ document.querySelectorAll(".anchor-link").forEach(n => n.textContent = "");
     } else { fn(); }
   }
 
-  ready(function () {
-    const body = document.body;
+  const DM = window.DM = window.DM || {};
 
-    function openModal(modal) {
-      if (!modal) return;
-      modal.hidden = false;
-      modal.classList.add('open');
-      body.classList.add('body-lock');
-      // фокус на заголовок для доступности
-      const title = modal.querySelector('[id$="-title"]');
-      if (title) title.focus({ preventScroll: true });
-    }
+  // Category drives chip colour (.tag--<category>) and display order
+  const TAG_CATEGORIES = ['topic', 'modality', 'license', 'vendor'];
+  const MODALITY_LABELS = DM.labels.modalities;
+  const LICENSE_LABELS = DM.labels.weights;
+
+  // Registry: model key -> [{ label, category }]
+  const TAGS = {};
 
-    function closeModal(modal) {
-      if (!modal) return;
-      modal.classList.remove('open');
-      modal.hidden = true;
-      body.classList.remove('body-lock');
+  function tagsFromRecord(model) {
+    const tags = (model.tags || []).map(label => ({ label, category: 'topic' }));
+    (model.modalities || []).forEach(m => {
+      tags.push({ label: MODALITY_LABELS[m] || m, category: 'modality' });
+    });
+    if (model.weights) {
+      tags.push({ label: LICENSE_LABELS[model.weights] || model.weights, category: 'license' });
     }
+    if (model.developer) tags.push({ label: model.developer, category: 'vendor' });
+    return tags;
+  }
 
-    // Делегирование на кнопки "Подробнее"
-    document.addEventListener('click', (e) => {
-      const btn = e.target.closest('.model-card .btn, .model-card .btn-outline');
-      if (!btn) return;
-      const card = btn.closest('.model-card');
-      if (!card) return;
-      const key = card.getAttribute('data-model');
-      if (!key) return;
-      const modal = document.getElementById(`${key}-modal`);
-      if (modal) {
-        e.preventDefault();
-        openModal(modal);
+  // data-tags="license:Открытые веса, Код, vendor:Meta" — category defaults to topic
+  function tagsFromAttribute(value) {
+    return value.split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+      const sep = entry.indexOf(':');
+      const category = sep > 0 ? entry.slice(0, sep).trim() : '';
+      if (TAG_CATEGORIES.includes(category)) {
+        return { label: entry.slice(sep + 1).trim(), category };
       }
+      return { label: entry, category: 'topic' };
     });
+  }
 
-    // Закрытие по "крестику" и клику вне контента
-    document.addEventListener('click', (e) => {
-      const closeBtn = e.target.closest('.model-modal .close-modal');
-      if (closeBtn) {
-        closeModal(closeBtn.closest('.model-modal'));
-        return;
-      }
-      const modal = e.target.closest('.model-modal');
-      if (modal && e.target === modal) {
-        closeModal(modal);
-      }
+  function registerTags(key, tags) {
+    const seen = new Set();
+    TAGS[key] = tags
+      .filter(tag => tag.label && !seen.has(tag.label.toLowerCase()) && seen.add(tag.label.toLowerCase()))
+      .map((tag, i) => ({ tag, i }))
+      .sort((a, b) => (TAG_CATEGORIES.indexOf(a.tag.category) - TAG_CATEGORIES.indexOf(b.tag.category)) || a.i - b.i)
+      .map(({ tag }) => tag);
+  }
+
+  function loadTags(catalog) {
+    if (catalog) {
+      catalog.models.forEach(model => registerTags(model.id, tagsFromRecord(model)));
+    }
+    // Markup wins over the dataset, so a page can override a single card
+    document.querySelectorAll('.model-card[data-model][data-tags]').forEach(card => {
+      registerTags(card.getAttribute('data-model'), tagsFromAttribute(card.getAttribute('data-tags')));
     });
+  }
 
-    // Esc закрывает активную модалку
-    window.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape') {
-        document.querySelectorAll('.model-modal.open').forEach(closeModal);
-      }
-    });
-  });
-})();
-// ===== Smooth scroll with fixed header & a11y =====
-(function () {
-  // Найдём фиксированную шапку, если есть
-  const header = document.querySelector('header, .header, .site-header');
-  const prefersReduced = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
-
-  function getHeaderOffset() {
-    const cssVar = getComputedStyle(document.documentElement).getPropertyValue('--header-offset').trim();
-    const varPx = cssVar.endsWith('px') ? parseFloat(cssVar) : null;
-    const domPx = header ? header.getBoundingClientRect().height : 0;
-    // Приоритет у CSS-переменной; если не задана — берём фактическую высоту хедера
-    return (varPx ?? domPx) || 0;
-  }
-
-  function smoothScrollTo(targetEl) {
-    const headerOffset = getHeaderOffset();
-    const rect = targetEl.getBoundingClientRect();
-    const absoluteY = window.pageYOffset + rect.top;
-    const y = Math.max(absoluteY - headerOffset, 0);
-
-    if (prefersReduced) {
-      window.scrollTo(0, y);
-    } else {
-      window.scrollTo({ top: y, behavior: 'smooth' });
-    }
-
-    // Фокус для клавиатуры/скринридеров
-    if (!targetEl.hasAttribute('tabindex')) {
-      targetEl.setAttribute('tabindex', '-1');
-    }
-    targetEl.focus({ preventScroll: true });
-  }
-
-  // Обработчик кликов по якорным ссылкам
-  document.addEventListener('click', (e) => {
-    const link = e.target.closest('a[href^="#"]');
-    if (!link) return;
-
-    const hash = link.getAttribute('href');
-    // Пропускаем пустые или "#" ссылки
-    if (!hash || hash === '#') return;
-
-    const target = document.querySelector(hash);
-    if (!target) return;
-
-    e.preventDefault();
-    smoothScrollTo(target);
-
-    // Аккуратно меняем адресную строку без рывка страницы
-    history.pushState(null, '', hash);
-  });
-
-  // Если страница загрузилась уже с хэшем — скорректируем позицию
-  window.addEventListener('load', () => {
-    if (location.hash) {
-      const target = document.querySelector(decodeURIComponent(location.hash));
-      if (target) setTimeout(() => smoothScrollTo(target), 0);
-    }
-  });
-})();
-/* === Simple Summary: плавный переход к разделу по клику на внутренние ссылки === */
-(function () {
-  const root = document.getElementById('simple-summary');
-  if (!root) return;
-
-  root.addEventListener('click', (e) => {
-    const a = e.target.closest('a[href^="#"]');
-    if (!a) return;
-    const id = a.getAttribute('href');
-    const target = document.querySelector(id);
-    if (!target) return;
-    e.preventDefault();
-    const header = document.querySelector('header');
-    const offset = header ? (header.getBoundingClientRect().height + 12) : 12;
-    const top = window.scrollY + target.getBoundingClientRect().top - offset;
-    window.scrollTo({ top, behavior: 'smooth' });
-    history.replaceState(null, '', id);
-  });
-})();
-
-// Enhance model-card tags with semantic labels per model
-(function () {
-  function ready(fn) {
-    if (document.readyState === 'loading') {
-      document.addEventListener('DOMContentLoaded', fn, { once: true });
-    } else { fn(); }
+  function createChip(tag) {
+    const span = document.createElement('span');
+    span.className = `tag tag--${tag.category}`;
+    span.textContent = tag.label;
+    return span;
   }
 
-  
-
   function applyTags() {
     const cards = document.querySelectorAll('.model-card[data-model]');
     cards.forEach(card => {
@@ -1063,55 +2315,2437 @@ document.querySelectorAll(".anchor-link").forEach(n => n.textContent = "");
         if (!list.contains(el)) el.remove();
       });
 
-      // Show up to 3 tags; the rest go into "+N"
+      // Show up to 3 tags; the rest go behind an expandable "+N" chip
       const maxVisible = 3;
       const visible = tags.slice(0, maxVisible);
       const hidden = tags.slice(maxVisible);
 
-      visible.forEach(label => {
-        const span = document.createElement('span');
-        span.className = 'tag';
-        span.textContent = label;
-        list.appendChild(span);
-      });
+      visible.forEach(tag => list.appendChild(createChip(tag)));
 
       if (hidden.length) {
-        const more = document.createElement('span');
+        const extra = hidden.map(createChip);
+        const more = document.createElement('button');
+        more.type = 'button';
         more.className = 'tag tag--more';
         more.textContent = `+${hidden.length}`;
-        more.title = hidden.join(', ');
+        more.title = hidden.map(t => t.label).join(', ');
+        more.setAttribute('aria-expanded', 'false');
+        more.setAttribute('aria-label', `Показать ещё ${hidden.length}: ${more.title}`);
+
+        const toggle = e => {
+          // The card itself opens the modal on click/Enter
+          e.stopPropagation();
+          const expanded = more.getAttribute('aria-expanded') !== 'true';
+          extra.forEach(chip => {
+            if (expanded) list.insertBefore(chip, more);
+            else chip.remove();
+          });
+          more.setAttribute('aria-expanded', String(expanded));
+          more.textContent = expanded ? '−' : `+${hidden.length}`;
+          more.setAttribute('aria-label', expanded ? 'Свернуть теги' : `Показать ещё ${hidden.length}: ${more.title}`);
+        };
+        more.addEventListener('click', toggle);
+        more.addEventListener('keydown', e => {
+          if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            toggle(e);
+          }
+        });
         list.appendChild(more);
       }
     });
   }
 
-  ready(applyTags);
+  DM.tags = {
+    categories: TAG_CATEGORIES.slice(),
+    get: key => (TAGS[key] || []).slice(),
+    register: registerTags,
+    refresh: applyTags
+  };
+
+  ready(function () {
+    if (typeof DM.onCatalog === 'function') {
+      DM.onCatalog(catalog => {
+        loadTags(catalog);
+        applyTags();
+      });
+      document.addEventListener('dm:catalog-change', e => {
+        if (e.detail.type === 'remove') delete TAGS[e.detail.id];
+        loadTags(DM.catalog);
+        applyTags();
+      });
+    } else {
+      loadTags(null);
+      applyTags();
+    }
+  });
 })();
-// Переключение вкладок во всех модалках с .modal-tabs
-document.addEventListener("click", (event) => {
-  const tab = event.target.closest(".modal-tabs [role='tab']");
-  if (!tab) return;
-
-  const tabsContainer = tab.parentElement;
-  const modal = tabsContainer.closest(".model-modal-content");
-  const tabId = tab.id;
-  const controls = tab.getAttribute("aria-controls");
-
-  // Обновляем состояние кнопок
-  tabsContainer.querySelectorAll("[role='tab']").forEach((btn) => {
-    const isActive = btn === tab;
-    btn.setAttribute("aria-selected", String(isActive));
-    btn.setAttribute("tabindex", isActive ? "0" : "-1");
+/* === Вкладки в модалках: паттерн WAI-ARIA Tabs === */
+(function () {
+  const DM = window.DM = window.DM || {};
+  const STORAGE_KEY = 'dm-modal-tabs';
+  const TAB_SELECTOR = ".modal-tabs [role='tab']";
+
+  // Последняя выбранная вкладка по id модалки; переживает перезагрузку в рамках сессии
+  const remembered = (() => {
+    try {
+      return JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '{}') || {};
+    } catch (_) {
+      return {};
+    }
+  })();
+
+  function remember(modal, tab) {
+    if (!modal || !modal.id) return;
+    remembered[modal.id] = tab.id;
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(remembered));
+    } catch (_) { /* приватный режим: помним до перезагрузки */ }
+  }
+
+  const tabsOf = tablist => Array.from(tablist.querySelectorAll("[role='tab']"));
+  const panelScope = tablist => tablist.closest('.model-modal-content') || tablist.parentElement;
+
+  function select(tab, options) {
+    const opts = options || {};
+    const tablist = tab.closest('.modal-tabs');
+    if (!tablist) return;
+    const controls = tab.getAttribute('aria-controls');
+
+    tabsOf(tablist).forEach(btn => {
+      const isActive = btn === tab;
+      btn.setAttribute('aria-selected', String(isActive));
+      btn.setAttribute('tabindex', isActive ? '0' : '-1');
+    });
+
+    panelScope(tablist).querySelectorAll('.modal-tab-panel').forEach(panel => {
+      const isActive = panel.id === controls;
+      panel.classList.toggle('is-active', isActive);
+      if (isActive) panel.removeAttribute('hidden');
+      else panel.setAttribute('hidden', '');
+    });
+
+    if (opts.focus) tab.focus();
+    if (opts.remember !== false) remember(tab.closest('.model-modal'), tab);
+    tab.dispatchEvent(new CustomEvent('dm:tab-change', { bubbles: true, detail: { panel: controls } }));
+  }
+
+  // Ровно одна вкладка в списке доступна по Tab; панели — цель для фокуса
+  function setup(tablist) {
+    if (tablist.__tabsReady) return;
+    tablist.__tabsReady = true;
+    const tabs = tabsOf(tablist);
+    if (!tabs.length) return;
+    const active = tabs.find(tab => tab.getAttribute('aria-selected') === 'true') || tabs[0];
+    tabs.forEach(tab => {
+      if (!tab.hasAttribute('type')) tab.setAttribute('type', 'button');
+      tab.setAttribute('aria-selected', String(tab === active));
+      tab.setAttribute('tabindex', tab === active ? '0' : '-1');
+    });
+    panelScope(tablist).querySelectorAll('.modal-tab-panel').forEach(panel => {
+      if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '0');
+    });
+  }
+
+  function setupAll(root) {
+    (root || document).querySelectorAll('.modal-tabs[role="tablist"]').forEach(setup);
+  }
+
+  function restore(modal) {
+    const tablist = modal.querySelector('.modal-tabs');
+    if (!tablist) return;
+    setup(tablist);
+    const tab = remembered[modal.id] && document.getElementById(remembered[modal.id]);
+    if (tab && tablist.contains(tab) && tab.getAttribute('aria-selected') !== 'true') {
+      select(tab, { remember: false });
+    }
+  }
+
+  document.addEventListener('click', event => {
+    const tab = event.target.closest(TAB_SELECTOR);
+    if (!tab) return;
+    setup(tab.closest('.modal-tabs'));
+    select(tab);
   });
 
-  // Показываем нужную панель и скрываем остальные
-  modal.querySelectorAll(".modal-tab-panel").forEach((panel) => {
-    if (panel.id === controls) {
-      panel.classList.add("is-active");
-      panel.removeAttribute("hidden");
-    } else {
-      panel.classList.remove("is-active");
-      panel.setAttribute("hidden", "true");
+  document.addEventListener('keydown', event => {
+    const tab = event.target.closest && event.target.closest(TAB_SELECTOR);
+    if (!tab || event.altKey || event.ctrlKey || event.metaKey) return;
+    const tablist = tab.closest('.modal-tabs');
+    setup(tablist);
+    const tabs = tabsOf(tablist);
+    const index = tabs.indexOf(tab);
+    let next = null;
+    switch (event.key) {
+      case 'ArrowRight': next = tabs[(index + 1) % tabs.length]; break;
+      case 'ArrowLeft': next = tabs[(index - 1 + tabs.length) % tabs.length]; break;
+      case 'Home': next = tabs[0]; break;
+      case 'End': next = tabs[tabs.length - 1]; break;
+      default: return;
+    }
+    event.preventDefault();
+    // Автоматическая активация: вкладка выбирается сразу при переходе фокуса
+    select(next, { focus: true });
+  });
+
+  // Открытая заново модалка показывает вкладку, на которой её закрыли
+  document.addEventListener('dm:modal-open', event => restore(event.target));
+  document.addEventListener('dm:catalog-change', () => setupAll());
+
+  DM.tabs = { select, setup: setupAll };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => setupAll(), { once: true });
+  } else {
+    setupAll();
+  }
+})();
+/* === Поиск по моделям, платформам и статьям === */
+(function () {
+  const input = document.getElementById('siteSearch');
+  const list = document.getElementById('siteSearchResults');
+  if (!input || !list) return;
+
+  const DM = window.DM || {};
+  const MAX_RESULTS = 8;
+  const MIN_QUERY = 2;
+  // Вес поля: совпадение в заголовке важнее, чем в тексте раздела
+  const WEIGHTS = { title: 6, meta: 3, info: 2, text: 1 };
+  const KIND_LABEL = { model: 'Модель', platform: 'Платформа', article: 'Статья' };
+
+  let docs = [];
+  let index = null;      // token -> Map(docId -> score)
+  let building = null;
+  let skipped = 0;       // статьи, которые не удалось загрузить в индекс
+  let results = [];
+  let activeIndex = -1;
+
+  const normalize = str => String(str || '').toLowerCase().replace(/ё/g, 'е');
+  const tokenize = str => normalize(str).match(/[\p{L}\p{N}]+/gu) || [];
+  const textOf = el => (el ? el.textContent : '').replace(/\s+/g, ' ').trim();
+
+  /* ---- Сбор документов ---- */
+
+  function collectModels(root, catalog) {
+    root.querySelectorAll('.model-card[data-model]').forEach(card => {
+      const id = card.getAttribute('data-model');
+      const modal = document.getElementById(`${id}-modal`);
+      const record = catalog ? catalog.get(id) : null;
+      const platform = !!card.closest('#ai-platforms') || (record && record.section === 'platforms');
+      docs.push({
+        kind: platform ? 'platform' : 'model',
+        id,
+        title: textOf(card.querySelector('h3')),
+        fields: {
+          meta: record ? [record.developer, (record.tags || []).join(' ')].join(' ') : '',
+          info: modal ? Array.from(modal.querySelectorAll('.model-info-card')).map(textOf).join(' ') : '',
+          text: [textOf(card.querySelector('p'))]
+            .concat(modal ? Array.from(modal.querySelectorAll('.model-section, .model-details')).map(textOf) : [])
+            .join(' ')
+        },
+        // Модалку ищем при открытии: редактор каталога заменяет её новой
+        hasModal: !!modal
+      });
+    });
+
+    // На страницах без карточек (статьи) модели берём из каталога
+    if (!root.querySelector('.model-card[data-model]') && catalog) {
+      catalog.models.forEach(m => {
+        docs.push({
+          kind: m.section === 'platforms' ? 'platform' : 'model',
+          id: m.id,
+          title: m.name,
+          fields: { meta: [m.developer, (m.tags || []).join(' ')].join(' '), info: '', text: m.summary || '' },
+          href: `index.html#model=${encodeURIComponent(m.id)}`
+        });
+      });
+    }
+  }
+
+  function collectArticle(doc, url, local) {
+    const articleTitle = textOf(doc.querySelector('.article-header h1, h1')) || doc.title;
+    doc.querySelectorAll('.article-section[id]').forEach(section => {
+      const heading = section.querySelector('h2, h3');
+      docs.push({
+        kind: 'article',
+        id: section.id,
+        title: textOf(heading) || articleTitle,
+        subtitle: articleTitle,
+        fields: { meta: '', info: '', text: textOf(section) },
+        href: `${url}#${section.id}`,
+        local
+      });
+    });
+  }
+
+  function articleUrls() {
+    const urls = new Set();
+    document.querySelectorAll('.article-card a[href$=".html"]').forEach(a => {
+      urls.add(a.getAttribute('href'));
+    });
+    return Array.from(urls);
+  }
+
+  function fetchArticle(url) {
+    return fetch(url)
+      .then(res => {
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      })
+      .then(html => collectArticle(new DOMParser().parseFromString(html, 'text/html'), url, false))
+      .catch(() => { skipped++; });
+  }
+
+  /* ---- Индекс ---- */
+
+  function addTokens(docId, str, weight) {
+    tokenize(str).forEach(token => {
+      let postings = index.get(token);
+      if (!postings) index.set(token, (postings = new Map()));
+      postings.set(docId, (postings.get(docId) || 0) + weight);
+    });
+  }
+
+  function buildIndex() {
+    if (building) return building;
+    const catalogReady = new Promise(resolve => {
+      if (typeof DM.onCatalog === 'function') DM.onCatalog(resolve);
+      else resolve(null);
+    });
+    building = catalogReady.then(catalog => {
+      docs = [];
+      skipped = 0;
+      collectModels(document, catalog);
+      if (document.querySelector('.article-section[id]')) {
+        collectArticle(document, location.pathname.split('/').pop(), true);
+      }
+      return Promise.all(articleUrls().map(fetchArticle));
+    }).then(() => {
+      index = new Map();
+      docs.forEach((doc, i) => {
+        addTokens(i, doc.title, WEIGHTS.title);
+        Object.keys(doc.fields).forEach(f => addTokens(i, doc.fields[f], WEIGHTS[f]));
+      });
+    });
+    return building;
+  }
+
+  // Все слова запроса обязательны; последнее ищется по префиксу (ввод «на лету»)
+  function search(query) {
+    const tokens = tokenize(query);
+    if (!index || !tokens.length) return [];
+    let scores = null;
+    tokens.forEach((token, i) => {
+      const matched = new Map();
+      const isLast = i === tokens.length - 1;
+      index.forEach((postings, key) => {
+        const exact = key === token;
+        if (!exact && !(isLast && key.startsWith(token))) return;
+        postings.forEach((score, docId) => {
+          // точное совпадение слова ценнее префиксного
+          matched.set(docId, (matched.get(docId) || 0) + (exact ? score : score * 0.5));
+        });
+      });
+      if (!scores) {
+        scores = matched;
+      } else {
+        scores.forEach((score, docId) => {
+          if (matched.has(docId)) scores.set(docId, score + matched.get(docId));
+          else scores.delete(docId);
+        });
+      }
+    });
+    return Array.from(scores || [])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_RESULTS)
+      .map(([docId]) => docs[docId]);
+  }
+
+  /* ---- Вывод ---- */
+
+  function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  function highlight(text, tokens) {
+    const frag = document.createDocumentFragment();
+    if (!tokens.length) {
+      frag.appendChild(document.createTextNode(text));
+      return frag;
+    }
+    const re = new RegExp(`(${tokens.map(escapeRegExp).join('|')})`, 'gi');
+    // ё/е: ищем по нормализованной строке той же длины, режем исходную
+    const norm = normalize(text);
+    let last = 0;
+    let m;
+    while ((m = re.exec(norm))) {
+      if (!m[0]) { re.lastIndex++; continue; }
+      if (m.index > last) frag.appendChild(document.createTextNode(text.slice(last, m.index)));
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(m.index, m.index + m[0].length);
+      frag.appendChild(mark);
+      last = m.index + m[0].length;
+    }
+    if (last < text.length) frag.appendChild(document.createTextNode(text.slice(last)));
+    return frag;
+  }
+
+  function snippet(doc, tokens) {
+    const text = [doc.fields.info, doc.fields.text].filter(Boolean).join(' ');
+    const norm = normalize(text);
+    let pos = -1;
+    tokens.some(t => (pos = norm.indexOf(t)) !== -1);
+    if (pos === -1) return text.slice(0, 120) + (text.length > 120 ? '…' : '');
+    const start = Math.max(0, pos - 50);
+    const end = Math.min(text.length, pos + 90);
+    return (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+  }
+
+  function setExpanded(open) {
+    list.hidden = !open;
+    input.setAttribute('aria-expanded', String(open));
+    if (!open) {
+      activeIndex = -1;
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  function note(className, text) {
+    const li = document.createElement('li');
+    li.className = className;
+    li.textContent = text;
+    list.appendChild(li);
+  }
+
+  function render(query) {
+    const tokens = tokenize(query);
+    list.innerHTML = '';
+    const incomplete = () => {
+      if (skipped) note('site-search-note', 'Часть статей не удалось проиндексировать — результаты могут быть неполными');
+    };
+    if (!results.length) {
+      note('site-search-empty', 'Ничего не найдено');
+      incomplete();
+      setExpanded(true);
+      return;
+    }
+    results.forEach((doc, i) => {
+      const li = document.createElement('li');
+      li.className = 'site-search-result';
+      li.id = `siteSearchResult-${i}`;
+      li.setAttribute('role', 'option');
+      li.setAttribute('aria-selected', 'false');
+
+      const kind = document.createElement('span');
+      kind.className = 'site-search-kind';
+      kind.textContent = KIND_LABEL[doc.kind];
+
+      const title = document.createElement('span');
+      title.className = 'site-search-title';
+      title.appendChild(highlight(doc.title, tokens));
+
+      const text = document.createElement('span');
+      text.className = 'site-search-snippet';
+      text.appendChild(highlight(snippet(doc, tokens), tokens));
+
+      li.append(kind, title, text);
+      li.addEventListener('mousedown', e => e.preventDefault()); // не терять фокус до click
+      li.addEventListener('click', () => activate(doc));
+      list.appendChild(li);
+    });
+    incomplete();
+    setExpanded(true);
+  }
+
+  function setActive(i) {
+    const items = list.querySelectorAll('.site-search-result');
+    if (!items.length) return;
+    activeIndex = (i + items.length) % items.length;
+    items.forEach((item, n) => item.setAttribute('aria-selected', String(n === activeIndex)));
+    input.setAttribute('aria-activedescendant', items[activeIndex].id);
+    items[activeIndex].scrollIntoView({ block: 'nearest' });
+  }
+
+  function activate(doc) {
+    setExpanded(false);
+    input.blur();
+    // Модели открываются через роутер, чтобы адрес получил #model=
+    if (doc.hasModal && DM.router && DM.router.navigate(doc.id)) return;
+    const modal = doc.hasModal && document.getElementById(`${doc.id}-modal`);
+    if (modal && typeof DM.openModal === 'function') {
+      DM.openModal(modal);
+      return;
+    }
+    if (doc.local) {
+      const target = document.getElementById(doc.id);
+      if (!target) return;
+      if (typeof DM.scrollToTarget === 'function') DM.scrollToTarget(target);
+      else target.scrollIntoView({ behavior: DM.motion.scrollBehavior(), block: 'start' });
+      history.pushState(null, '', `#${doc.id}`);
+      return;
+    }
+    if (doc.href) location.href = doc.href;
+  }
+
+  let debounce = 0;
+  input.addEventListener('input', () => {
+    clearTimeout(debounce);
+    const query = input.value.trim();
+    if (query.length < MIN_QUERY) {
+      setExpanded(false);
+      return;
+    }
+    debounce = setTimeout(() => {
+      buildIndex().then(() => {
+        if (input.value.trim() !== query) return;
+        results = search(query);
+        render(query);
+      });
+    }, 120);
+  });
+
+  input.addEventListener('focus', buildIndex, { once: true });
+
+  // Правки каталога из админки: индекс собирается заново при следующем запросе
+  document.addEventListener('dm:catalog-change', () => {
+    building = null;
+    index = null;
+  });
+
+  input.addEventListener('keydown', e => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (list.hidden) return;
+      e.preventDefault();
+      setActive(activeIndex + (e.key === 'ArrowDown' ? 1 : -1));
+    } else if (e.key === 'Enter') {
+      const doc = results[activeIndex >= 0 ? activeIndex : 0];
+      if (!list.hidden && doc) {
+        e.preventDefault();
+        activate(doc);
+      }
+    } else if (e.key === 'Escape') {
+      e.stopPropagation();
+      setExpanded(false);
+    }
+  });
+
+  input.addEventListener('blur', () => setExpanded(false));
+
+  // «/» — быстрый переход к поиску, если фокус не в поле ввода
+  document.addEventListener('keydown', e => {
+    if (e.key !== '/' || e.ctrlKey || e.metaKey || e.altKey) return;
+    const el = document.activeElement;
+    if (el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName))) return;
+    e.preventDefault();
+    input.focus();
+  });
+})();
+/* === Фильтры и сортировка каталога моделей === */
+(function () {
+  const DM = window.DM || {};
+  if (typeof DM.onCatalog !== 'function') return;
+
+  const MODALITY_LABELS = DM.labels.modalities;
+  const WEIGHTS_LABELS = DM.labels.weights;
+
+  // Фасеты: ключ в URL, подпись и способ достать значения из записи каталога
+  const FACETS = [
+    { key: 'tag', label: 'Теги', values: m => m.tags || [] },
+    { key: 'dev', label: 'Разработчик', values: m => (m.developer ? [m.developer] : []) },
+    { key: 'weights', label: 'Веса', values: m => (m.weights ? [m.weights] : []), labels: WEIGHTS_LABELS },
+    { key: 'modality', label: 'Модальность', values: m => m.modalities || [], labels: MODALITY_LABELS }
+  ];
+
+  const SORTS = {
+    default: { label: 'По умолчанию' },
+    rating: {
+      label: 'По рейтингу',
+      // Шкалы у оценок разные (5 и 10), сравниваем долю от максимума
+      compare: (a, b) => ratingOf(b) - ratingOf(a)
+    },
+    date: {
+      label: 'Сначала новые',
+      compare: (a, b) => String(b.released || '').localeCompare(String(a.released || ''))
+    },
+    name: {
+      label: 'По названию',
+      compare: (a, b) => String(a.name || '').localeCompare(String(b.name || ''), 'ru')
+    }
+  };
+
+  function ratingOf(model) {
+    const r = model && model.rating;
+    if (!r || r.overall == null) return -1;
+    return r.overall / (r.scale || 5);
+  }
+
+  // Параметры сетки моделей пишутся без префикса (?tag=…), остальных
+  // сеток — с её именем (?platforms-tag=…), чтобы панели не мешали друг другу
+  const paramOf = (scope, key) => (scope === 'models' ? key : `${scope}-${key}`);
+
+  function readState(scope) {
+    const params = new URLSearchParams(location.search);
+    const sort = params.get(paramOf(scope, 'sort'));
+    const state = { sort: SORTS[sort] ? sort : 'default' };
+    FACETS.forEach(f => {
+      state[f.key] = new Set((params.get(paramOf(scope, f.key)) || '').split(',').filter(Boolean));
+    });
+    return state;
+  }
+
+  // Каждое изменение фильтров — отдельная запись в истории: «Назад» его отменяет
+  function writeState(scope, state) {
+    const params = new URLSearchParams(location.search);
+    FACETS.forEach(f => {
+      if (state[f.key].size) params.set(paramOf(scope, f.key), Array.from(state[f.key]).join(','));
+      else params.delete(paramOf(scope, f.key));
+    });
+    if (state.sort !== 'default') params.set(paramOf(scope, 'sort'), state.sort);
+    else params.delete(paramOf(scope, 'sort'));
+    const query = params.toString();
+    const url = `${location.pathname}${query ? `?${query}` : ''}${location.hash}`;
+    if (url !== `${location.pathname}${location.search}${location.hash}`) history.pushState(null, '', url);
+  }
+
+  function initFilters(bar, catalog) {
+    const scope = bar.getAttribute('data-catalog-filters');
+    const grid = document.querySelector(`[data-catalog-grid="${scope}"]`);
+    if (!grid) return;
+
+    // Исходный порядок запоминаем на карточке: при пересборке панели
+    // сетка уже может быть пересортирована
+    const cards = Array.from(grid.querySelectorAll('.model-card[data-model]'));
+    let nextOrder = cards.reduce((max, card) => Math.max(max, card.__filterOrder ?? -1), -1) + 1;
+    const entries = cards.map(card => ({
+      card,
+      order: card.__filterOrder ?? (card.__filterOrder = nextOrder++),
+      model: catalog.get(card.getAttribute('data-model')) || { name: card.querySelector('h3')?.textContent || '' }
+    }));
+    if (!entries.length) return;
+    if (bar.__teardown) bar.__teardown();
+
+    let state = readState(scope);
+
+    /* ---- Разметка панели ---- */
+    bar.innerHTML = '';
+    const facetEls = FACETS.map(facet => {
+      const counts = new Map();
+      entries.forEach(({ model }) => facet.values(model).forEach(v => counts.set(v, (counts.get(v) || 0) + 1)));
+      if (!counts.size) return null;
+
+      const details = document.createElement('details');
+      details.className = 'filter-facet';
+      const summary = document.createElement('summary');
+      details.appendChild(summary);
+
+      const options = document.createElement('div');
+      options.className = 'filter-facet-options';
+      Array.from(counts.keys())
+        .sort((a, b) => String((facet.labels || {})[a] || a).localeCompare(String((facet.labels || {})[b] || b), 'ru'))
+        .forEach(value => {
+          const label = document.createElement('label');
+          label.className = 'filter-option';
+          const box = document.createElement('input');
+          box.type = 'checkbox';
+          box.value = value;
+          box.checked = state[facet.key].has(value);
+          box.addEventListener('change', () => {
+            if (box.checked) state[facet.key].add(value);
+            else state[facet.key].delete(value);
+            update(true);
+          });
+          const text = document.createElement('span');
+          text.textContent = (facet.labels || {})[value] || value;
+          const count = document.createElement('span');
+          count.className = 'filter-option-count';
+          count.textContent = counts.get(value);
+          label.append(box, text, count);
+          options.appendChild(label);
+        });
+      details.appendChild(options);
+      bar.appendChild(details);
+      return { facet, details, summary, options };
+    }).filter(Boolean);
+
+    const sortLabel = document.createElement('label');
+    sortLabel.className = 'filter-sort';
+    sortLabel.textContent = 'Сортировка: ';
+    const sortSelect = document.createElement('select');
+    Object.keys(SORTS).forEach(key => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = SORTS[key].label;
+      sortSelect.appendChild(opt);
+    });
+    sortSelect.value = state.sort;
+    sortSelect.addEventListener('change', () => {
+      state.sort = sortSelect.value;
+      update(true);
+    });
+    sortLabel.appendChild(sortSelect);
+
+    const reset = document.createElement('button');
+    reset.type = 'button';
+    reset.className = 'btn btn-outline filter-reset';
+    reset.textContent = 'Сбросить';
+    reset.addEventListener('click', () => {
+      FACETS.forEach(f => state[f.key].clear());
+      state.sort = 'default';
+      update(true);
+    });
+
+    const status = document.createElement('p');
+    status.className = 'filter-status';
+    status.setAttribute('aria-live', 'polite');
+
+    bar.append(sortLabel, reset, status);
+    bar.hidden = false;
+
+    // Клик вне раскрытого фасета сворачивает его
+    const onDocumentClick = e => {
+      facetEls.forEach(({ details }) => {
+        if (details.open && !details.contains(e.target)) details.open = false;
+      });
+    };
+    document.addEventListener('click', onDocumentClick);
+
+    /* ---- Применение ---- */
+    const matches = model => FACETS.every(f => {
+      const selected = state[f.key];
+      if (!selected.size) return true;
+      return f.values(model).some(v => selected.has(v));
+    });
+
+    function update(pushUrl) {
+      facetEls.forEach(({ facet, summary, options }) => {
+        const n = state[facet.key].size;
+        summary.textContent = n ? `${facet.label} (${n})` : facet.label;
+        options.querySelectorAll('input').forEach(box => { box.checked = state[facet.key].has(box.value); });
+      });
+      sortSelect.value = state.sort;
+
+      const sort = SORTS[state.sort];
+      const ordered = entries.slice().sort((a, b) =>
+        (sort.compare ? sort.compare(a.model, b.model) : 0) || a.order - b.order);
+      let shown = 0;
+      ordered.forEach(({ card, model }) => {
+        const visible = matches(model);
+        card.classList.toggle('is-filtered-out', !visible);
+        card.setAttribute('aria-hidden', String(!visible));
+        if (visible) shown++;
+        grid.appendChild(card);
+      });
+
+      const active = FACETS.some(f => state[f.key].size) || state.sort !== 'default';
+      reset.disabled = !active;
+      status.textContent = `Показано ${shown} из ${entries.length}`;
+      if (pushUrl) writeState(scope, state);
     }
+
+    const onPopState = () => {
+      state = readState(scope);
+      update(false);
+    };
+    window.addEventListener('popstate', onPopState);
+
+    bar.__teardown = () => {
+      document.removeEventListener('click', onDocumentClick);
+      window.removeEventListener('popstate', onPopState);
+    };
+
+    update(false);
+  }
+
+  DM.onCatalog(catalog => {
+    document.querySelectorAll('[data-catalog-filters]').forEach(bar => initFilters(bar, catalog));
+  });
+
+  // Правки из админки меняют набор значений фасетов — панель собираем заново
+  document.addEventListener('dm:catalog-change', () => {
+    document.querySelectorAll('[data-catalog-filters]').forEach(bar => initFilters(bar, DM.catalog));
   });
-});
+})();
+/* === Сравнение моделей === */
+(function () {
+  const DM = window.DM || {};
+  if (typeof DM.onCatalog !== 'function') return;
+
+  const MAX_COMPARE = 3;
+  const MODALITY_LABELS = DM.labels.modalities;
+  const WEIGHTS_LABELS = DM.labels.weights;
+  // Поля .model-info-card распознаём по заголовку карточки
+  const INFO_FIELDS = [
+    { key: 'released', label: 'Дата релиза', match: /релиз|запуск|выпуск/i },
+    { key: 'developer', label: 'Разработчик', match: /разработчик|компания/i },
+    { key: 'versions', label: 'Модели и версии', match: /верси|линейк|модели и/i },
+    { key: 'context', label: 'Контекст', match: /контекст/i },
+    // Только заголовок, начинающийся со слова «Тип» («прототип» не подходит);
+    // \b в JS не видит границ кириллических слов
+    { key: 'type', label: 'Тип модели', match: /^тип(?![а-яё])/i }
+  ];
+
+  const textOf = el => (el ? el.textContent : '').replace(/\s+/g, ' ').trim();
+  const selected = [];
+  let catalog = null;
+  let panel = null;
+
+  /* ---- Сбор данных из модалки и каталога ---- */
+
+  function parseScore(str) {
+    const m = String(str).replace(',', '.').match(/([\d.]+)\s*\/\s*([\d.]+)/);
+    return m ? { score: parseFloat(m[1]), scale: parseFloat(m[2]) } : null;
+  }
+
+  function formatDate(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    if (isNaN(date)) return iso;
+    return date.toLocaleDateString('ru-RU', { day: 'numeric', month: 'long', year: 'numeric' });
+  }
+
+  function collectFacts(id) {
+    const card = document.querySelector(`.model-card[data-model="${id}"]`);
+    const modal = document.getElementById(`${id}-modal`);
+    const record = catalog.get(id) || {};
+    const facts = {
+      id,
+      name: record.name || textOf(card && card.querySelector('h3')) || id,
+      fields: {},
+      ratings: new Map(),
+      pricing: new Map()
+    };
+
+    if (modal) {
+      modal.querySelectorAll('.model-info-card').forEach(info => {
+        const title = textOf(info.querySelector('h4'));
+        const field = INFO_FIELDS.find(f => f.match.test(title));
+        if (field && !facts.fields[field.key]) facts.fields[field.key] = textOf(info.querySelector('p'));
+        if (/цен|тариф|стоимост/i.test(title)) facts.pricing.set(title, textOf(info.querySelector('p')));
+      });
+
+      modal.querySelectorAll('.model-rating-card').forEach(el => {
+        const score = parseScore(textOf(el.querySelector('.model-rating-score')));
+        if (score) facts.ratings.set(textOf(el.querySelector('.model-rating-label')), score);
+      });
+      modal.querySelectorAll('.rating-row').forEach(el => {
+        const score = parseScore(textOf(el.querySelector('.rating-score')));
+        const label = el.querySelector('.rating-label strong') || el.querySelector('.rating-label');
+        if (score) facts.ratings.set(textOf(label), score);
+      });
+
+      const pricingPanel = modal.querySelector('[id$="-tab-pricing"]');
+      const table = pricingPanel && pricingPanel.querySelector('table');
+      if (table) {
+        table.querySelectorAll('tbody tr').forEach(row => {
+          const cells = row.querySelectorAll('td');
+          if (cells.length >= 2) facts.pricing.set(textOf(cells[0]), textOf(cells[1]));
+        });
+      } else if (pricingPanel) {
+        const intro = textOf(pricingPanel.querySelector('p'));
+        if (intro) facts.pricing.set('Тарифы', intro.length > 220 ? `${intro.slice(0, 220)}…` : intro);
+      }
+    }
+
+    // Данные каталога — запасной источник и то, чего нет в разметке
+    if (record.developer && !facts.fields.developer) facts.fields.developer = record.developer;
+    if (record.released && !facts.fields.released) facts.fields.released = formatDate(record.released);
+    if (record.weights) facts.fields.weights = WEIGHTS_LABELS[record.weights] || record.weights;
+    if (record.modalities) facts.fields.modalities = record.modalities.map(m => MODALITY_LABELS[m] || m).join(', ');
+    if (record.rating) {
+      (record.rating.criteria || []).forEach(c => {
+        if (!facts.ratings.has(c.label)) facts.ratings.set(c.label, { score: c.score, scale: record.rating.scale || 5 });
+      });
+      if (record.rating.overall != null) {
+        facts.ratings.set('Общая оценка', { score: record.rating.overall, scale: record.rating.scale || 5 });
+      }
+    }
+    (record.pricing || []).forEach(p => {
+      if (!facts.pricing.has(p.label)) facts.pricing.set(p.label, p.value);
+    });
+    return facts;
+  }
+
+  /* ---- Таблица ---- */
+
+  function unionKeys(list, pick) {
+    const keys = [];
+    list.forEach(f => pick(f).forEach((_, key) => { if (!keys.includes(key)) keys.push(key); }));
+    return keys;
+  }
+
+  function buildTable(list) {
+    const table = document.createElement('table');
+    table.className = 'compare-table';
+
+    const head = table.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.scope = 'col';
+    corner.textContent = 'Параметр';
+    head.appendChild(corner);
+    list.forEach(f => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = f.name;
+      head.appendChild(th);
+    });
+
+    const body = table.createTBody();
+
+    function addGroup(title) {
+      const row = body.insertRow();
+      row.className = 'compare-group';
+      const cell = row.insertCell();
+      cell.colSpan = list.length + 1;
+      cell.textContent = title;
+    }
+
+    function addRow(label, values, numeric) {
+      const row = body.insertRow();
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = label;
+      row.appendChild(th);
+
+      const present = values.filter(v => v != null && v !== '');
+      const keys = values.map(v => (v == null ? '' : numeric ? v.score / v.scale : String(v).toLowerCase()));
+      const differs = (present.length > 1 && new Set(keys.filter(k => k !== '')).size > 1) ||
+        present.length !== values.length;
+      row.classList.toggle('is-different', differs);
+      const best = numeric ? Math.max(...keys.filter(k => k !== '')) : null;
+
+      values.forEach((value, i) => {
+        const cell = row.insertCell();
+        if (value == null || value === '') {
+          cell.textContent = '—';
+          cell.className = 'is-empty';
+        } else if (numeric) {
+          cell.textContent = `${value.score} / ${value.scale}`;
+          if (differs && keys[i] === best) cell.className = 'is-best';
+        } else {
+          cell.textContent = value;
+        }
+      });
+    }
+
+    addGroup('Общие сведения');
+    INFO_FIELDS.concat([
+      { key: 'weights', label: 'Веса' },
+      { key: 'modalities', label: 'Модальности' }
+    ]).forEach(field => {
+      const values = list.map(f => f.fields[field.key]);
+      if (values.some(Boolean)) addRow(field.label, values);
+    });
+
+    const ratingKeys = unionKeys(list, f => f.ratings);
+    if (ratingKeys.length) {
+      addGroup('Оценки');
+      ratingKeys.forEach(key => addRow(key, list.map(f => f.ratings.get(key)), true));
+    }
+
+    const priceKeys = unionKeys(list, f => f.pricing);
+    if (priceKeys.length) {
+      addGroup('Цены и доступ');
+      priceKeys.forEach(key => addRow(key, list.map(f => f.pricing.get(key))));
+    }
+    return table;
+  }
+
+  /* ---- Панель сравнения ---- */
+
+  function ensurePanel() {
+    if (panel) return panel;
+    panel = document.createElement('div');
+    panel.className = 'model-modal compare-modal';
+    panel.id = 'compare-modal';
+    panel.setAttribute('role', 'dialog');
+    panel.setAttribute('aria-modal', 'true');
+    panel.setAttribute('aria-labelledby', 'compare-modal-title');
+    panel.innerHTML = `
+      <div class="model-modal-content">
+        <div class="model-modal-header">
+          <h2 id="compare-modal-title">Сравнение моделей</h2>
+          <button class="close-modal" type="button" aria-label="Закрыть сравнение">&times;</button>
+        </div>
+        <div class="model-modal-body">
+          <p class="compare-legend">Строки с различиями подсвечены, лучшая оценка выделена.</p>
+          <div class="table-responsive compare-table-wrapper"></div>
+          <div class="compare-actions">
+            <button type="button" class="btn btn-outline compare-copy">Скопировать ссылку</button>
+          </div>
+        </div>
+      </div>`;
+    panel.querySelector('.close-modal').addEventListener('click', () => DM.closeModal(panel));
+    panel.querySelector('.compare-copy').addEventListener('click', e => {
+      const btn = e.currentTarget;
+      navigator.clipboard.writeText(location.href).then(() => {
+        btn.textContent = 'Ссылка скопирована';
+        setTimeout(() => { btn.textContent = 'Скопировать ссылку'; }, 1400);
+      });
+    });
+    (document.querySelector('[data-catalog-modals]') || document.body).appendChild(panel);
+    return panel;
+  }
+
+  function openPanel() {
+    if (selected.length < 2) return;
+    const el = ensurePanel();
+    const wrapper = el.querySelector('.compare-table-wrapper');
+    wrapper.innerHTML = '';
+    wrapper.appendChild(buildTable(selected.map(collectFacts)));
+    DM.openModal(el);
+  }
+
+  /* ---- Выбор карточек и нижняя плашка ---- */
+
+  const tray = document.createElement('div');
+  tray.className = 'compare-tray';
+  tray.hidden = true;
+  tray.innerHTML = `
+    <span class="compare-tray-status" aria-live="polite"></span>
+    <button type="button" class="btn compare-tray-open">Сравнить</button>
+    <button type="button" class="btn btn-outline compare-tray-clear">Очистить</button>`;
+  tray.querySelector('.compare-tray-open').addEventListener('click', openPanel);
+  tray.querySelector('.compare-tray-clear').addEventListener('click', () => {
+    selected.length = 0;
+    sync();
+  });
+
+  function writeUrl() {
+    const params = new URLSearchParams(location.search);
+    if (selected.length) params.set('compare', selected.join(','));
+    else params.delete('compare');
+    const query = params.toString();
+    history.replaceState(history.state, '', `${location.pathname}${query ? `?${query}` : ''}${location.hash}`);
+  }
+
+  function sync() {
+    document.querySelectorAll('.compare-toggle input').forEach(box => {
+      box.checked = selected.includes(box.value);
+      box.disabled = !box.checked && selected.length >= MAX_COMPARE;
+    });
+    tray.hidden = !selected.length;
+    tray.querySelector('.compare-tray-status').textContent =
+      `Выбрано для сравнения: ${selected.length} из ${MAX_COMPARE}`;
+    tray.querySelector('.compare-tray-open').disabled = selected.length < 2;
+    writeUrl();
+  }
+
+  function addToggle(card) {
+    const id = card.getAttribute('data-model');
+    if (!id || card.querySelector('.compare-toggle')) return;
+    const label = document.createElement('label');
+    label.className = 'compare-toggle';
+    label.title = 'Добавить к сравнению';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = id;
+    const text = document.createElement('span');
+    text.textContent = 'Сравнить';
+    label.append(box, text);
+
+    // Карточка открывает модалку по клику и Enter — чекбоксу это не нужно
+    label.addEventListener('click', e => e.stopPropagation());
+    label.addEventListener('keydown', e => e.stopPropagation());
+    box.addEventListener('change', () => {
+      const i = selected.indexOf(id);
+      if (box.checked && i === -1 && selected.length < MAX_COMPARE) selected.push(id);
+      if (!box.checked && i !== -1) selected.splice(i, 1);
+      sync();
+    });
+    card.appendChild(label);
+  }
+
+  DM.onCatalog(data => {
+    catalog = data;
+    const cards = document.querySelectorAll('[data-catalog-grid] .model-card[data-model]');
+    if (!cards.length) return;
+    cards.forEach(addToggle);
+    document.body.appendChild(tray);
+
+    const fromUrl = (new URLSearchParams(location.search).get('compare') || '').split(',');
+    fromUrl.forEach(id => {
+      if (selected.length < MAX_COMPARE && !selected.includes(id) &&
+          document.querySelector(`.model-card[data-model="${id}"]`)) selected.push(id);
+    });
+    sync();
+    if (selected.length >= 2) openPanel();
+  });
+
+  document.addEventListener('dm:catalog-change', e => {
+    const { type, id } = e.detail;
+    if (type === 'add') {
+      const card = document.querySelector(`[data-catalog-grid] .model-card[data-model="${id}"]`);
+      if (card) addToggle(card);
+    } else if (type === 'remove' && selected.includes(id)) {
+      selected.splice(selected.indexOf(id), 1);
+    }
+    sync();
+  });
+})();
+/* === Админ-панель: вход и публикация статей === */
+(function () {
+  const DM = window.DM || {};
+  const modal = document.getElementById('adminModal');
+  const openBtn = document.getElementById('adminBtn');
+  if (!modal || !openBtn) return;
+
+  // Вход здесь только косметический: пароль проверяется в браузере, и любой
+  // посетитель может прочитать или изменить этот код. Он прячет редактор от
+  // случайных глаз, но ничего не защищает: статьи и правки каталога и так
+  // хранятся лишь в браузере того, кто их сделал. Настоящую защиту даёт только
+  // сервер — хранилище из data-articles-endpoint обязано само проверять права.
+  //
+  // Пароль задаёт атрибут data-admin-hash на #adminModal в формате
+  //   pbkdf2-sha256$<итерации>$<соль hex>$<ключ hex>
+  // (такую строку возвращает DM.admin.hashPassword). Пока атрибута нет,
+  // вход выключен.
+  const KDF_ITERATIONS = 600000;
+  const LEGACY_SESSION_KEY = 'dm-admin-session';
+  const STORAGE_KEY = 'dm-articles';
+  const RETRY_DELAY = 1500;
+
+  const $ = id => document.getElementById(id);
+  const passwordInput = $('adminPassword');
+  const loginForm = $('adminLoginForm');
+  const loginBtn = $('loginAdmin');
+  const message = $('adminMessage');
+  const content = $('adminContent');
+  const articleForm = $('adminArticleForm');
+  const articleList = $('adminArticleList');
+  const grid = document.querySelector('#articles .ai-models-grid');
+
+  let authenticated = false;
+  let lastFocus = null;
+  let articles = [];
+
+  /* ---- Хранилища статей ----
+     Любое хранилище реализует три асинхронных метода:
+       list()        -> Promise<Article[]>
+       save(article) -> Promise<Article>
+       remove(id)    -> Promise<void>
+     Article: { id, title, category, body, created } */
+
+  function createLocalStore(key) {
+    const read = () => {
+      try {
+        const data = JSON.parse(localStorage.getItem(key) || '[]');
+        return Array.isArray(data) ? data : [];
+      } catch (_) {
+        return [];
+      }
+    };
+    const write = list => localStorage.setItem(key, JSON.stringify(list));
+    return {
+      list: () => Promise.resolve(read()),
+      save: article => new Promise(resolve => {
+        write(read().filter(a => a.id !== article.id).concat(article));
+        resolve(article);
+      }),
+      remove: id => new Promise(resolve => {
+        write(read().filter(a => a.id !== id));
+        resolve();
+      })
+    };
+  }
+
+  function createRestStore(endpoint) {
+    const base = endpoint.replace(/\/+$/, '');
+    const request = (url, options) => fetch(url, options).then(res => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.status === 204 ? null : res.json();
+    });
+    return {
+      list: () => request(base),
+      save: article => request(base, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(article)
+      }).then(saved => saved || article),
+      remove: id => request(`${base}/${encodeURIComponent(id)}`, { method: 'DELETE' })
+    };
+  }
+
+  let store = modal.dataset.articlesEndpoint
+    ? createRestStore(modal.dataset.articlesEndpoint)
+    : createLocalStore(STORAGE_KEY);
+
+  /* ---- Авторизация ---- */
+
+  const toHex = bytes => Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  const fromHex = hex => new Uint8Array((hex.match(/../g) || []).map(h => parseInt(h, 16)));
+
+  function parseHash(value) {
+    const m = String(value || '').match(/^pbkdf2-sha256\$(\d+)\$([0-9a-f]+)\$([0-9a-f]{64})$/i);
+    return m ? { iterations: Number(m[1]), salt: m[2].toLowerCase(), key: m[3].toLowerCase() } : null;
+  }
+
+  // Медленный PBKDF2 делает перебор по утёкшему хэшу дорогим
+  function deriveKey(password, salt, iterations) {
+    const subtle = window.crypto && window.crypto.subtle;
+    if (!subtle || typeof TextEncoder !== 'function') {
+      return Promise.reject(new Error('Web Crypto недоступен'));
+    }
+    return subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+      .then(material => subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromHex(salt), iterations },
+        material,
+        256
+      ))
+      .then(bits => toHex(new Uint8Array(bits)));
+  }
+
+  function hashPassword(password) {
+    const salt = toHex(window.crypto.getRandomValues(new Uint8Array(16)));
+    return deriveKey(password, salt, KDF_ITERATIONS)
+      .then(key => `pbkdf2-sha256$${KDF_ITERATIONS}$${salt}$${key}`);
+  }
+
+  const configured = () => !!parseHash(modal.dataset.adminHash);
+
+  function verifyPassword(password) {
+    const expected = parseHash(modal.dataset.adminHash);
+    if (!expected) return Promise.reject(new Error('не задан data-admin-hash'));
+    return deriveKey(password, expected.salt, expected.iterations).then(key => key === expected.key);
+  }
+
+  // Вход живёт только в памяти страницы: после перезагрузки пароль
+  // спрашивается снова, и подделать сессию через sessionStorage нельзя
+  try {
+    sessionStorage.removeItem(LEGACY_SESSION_KEY);
+  } catch (_) { /* хранилище недоступно — и чистить нечего */ }
+
+  function isAuthenticated() {
+    return authenticated;
+  }
+
+  function setSession(active) {
+    authenticated = active;
+  }
+
+  function showMessage(text, isError) {
+    message.textContent = text || '';
+    message.classList.toggle('is-error', !!isError);
+  }
+
+  function renderState() {
+    const authed = isAuthenticated();
+    loginForm.hidden = authed;
+    loginBtn.hidden = authed;
+    content.classList.toggle('d-none', !authed);
+    passwordInput.disabled = !configured();
+    loginBtn.disabled = !configured();
+    if (!configured()) showMessage('Вход выключен: на странице не задан data-admin-hash', true);
+    // Редактор моделей не помещается в узкое окно входа
+    modal.querySelector('.admin-modal-content').classList.toggle('is-wide', authed);
+    if (authed) renderList();
+  }
+
+  function login(e) {
+    if (e) e.preventDefault();
+    if (loginBtn.disabled) return;
+    const password = passwordInput.value;
+    if (!password) {
+      showMessage('Введите пароль', true);
+      passwordInput.focus();
+      return;
+    }
+    loginBtn.disabled = true;
+    verifyPassword(password).then(ok => {
+      passwordInput.value = '';
+      if (!ok) {
+        showMessage('Неверный пароль', true);
+        // Небольшая пауза после ошибки усложняет перебор
+        setTimeout(() => { loginBtn.disabled = false; passwordInput.focus(); }, RETRY_DELAY);
+        return;
+      }
+      loginBtn.disabled = false;
+      setSession(true);
+      showMessage('');
+      renderState();
+      $('adminArticleTitle').focus();
+    }).catch(err => {
+      loginBtn.disabled = false;
+      showMessage(`Вход невозможен: ${err.message}`, true);
+    });
+  }
+
+  function logout() {
+    setSession(false);
+    showMessage('Вы вышли из панели');
+    renderState();
+    passwordInput.focus();
+  }
+
+  /* ---- Открытие и закрытие ---- */
+
+  function open() {
+    lastFocus = document.activeElement;
+    modal.style.display = 'flex';
+    modal.setAttribute('aria-hidden', 'false');
+    document.body.style.overflow = 'hidden';
+    showMessage('');
+    renderState();
+    if (isAuthenticated()) $('adminArticleTitle').focus();
+    else (configured() ? passwordInput : $('closeAdmin')).focus();
+  }
+
+  function close() {
+    modal.style.display = 'none';
+    modal.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+    passwordInput.value = '';
+    if (lastFocus && typeof lastFocus.focus === 'function') lastFocus.focus();
+  }
+
+  /* ---- Статьи на странице ---- */
+
+  function formatDate(iso) {
+    const date = new Date(iso);
+    return isNaN(date) ? '' : date.toLocaleDateString('ru-RU');
+  }
+
+  function excerpt(text, max) {
+    const flat = String(text).replace(/\s+/g, ' ').trim();
+    return flat.length > max ? `${flat.slice(0, max).replace(/\s+\S*$/, '')}...` : flat;
+  }
+
+  function renderCard(article) {
+    const card = document.createElement('div');
+    card.className = 'article-card article-card--saved';
+    card.dataset.articleId = article.id;
+    card.innerHTML = `
+      <div class="article-card-header">
+        <span class="article-category"></span>
+        <span class="article-date"></span>
+      </div>
+      <div class="article-card-content">
+        <h3></h3>
+        <p class="article-excerpt"></p>
+      </div>
+      <div class="article-card-footer">
+        <button type="button" class="btn btn-outline">Читать статью</button>
+      </div>`;
+    card.querySelector('.article-category').textContent = article.category || 'Статья';
+    card.querySelector('.article-date').textContent = formatDate(article.created);
+    card.querySelector('h3').textContent = article.title;
+    card.querySelector('.article-excerpt').textContent = excerpt(article.body, 220);
+    card.querySelector('.btn').addEventListener('click', () => openArticle(article));
+    return card;
+  }
+
+  let reader = null;
+
+  function openArticle(article) {
+    if (!reader) {
+      reader = document.createElement('div');
+      reader.className = 'model-modal article-reader';
+      reader.id = 'saved-article-modal';
+      reader.setAttribute('role', 'dialog');
+      reader.setAttribute('aria-modal', 'true');
+      reader.setAttribute('aria-labelledby', 'saved-article-title');
+      reader.innerHTML = `
+        <div class="model-modal-content">
+          <div class="model-modal-header">
+            <h2 id="saved-article-title"></h2>
+            <button class="close-modal" type="button" aria-label="Закрыть статью">&times;</button>
+          </div>
+          <div class="model-modal-body">
+            <p class="article-reader-meta"></p>
+            <div class="article-reader-text"></div>
+          </div>
+        </div>`;
+      reader.querySelector('.close-modal').addEventListener('click', () => DM.closeModal(reader));
+      document.body.appendChild(reader);
+    }
+    reader.querySelector('h2').textContent = article.title;
+    reader.querySelector('.article-reader-meta').textContent =
+      [article.category, formatDate(article.created)].filter(Boolean).join(' · ');
+    const text = reader.querySelector('.article-reader-text');
+    text.innerHTML = '';
+    // Текст из формы выводим как есть: абзацы по пустым строкам, без HTML
+    String(article.body).split(/\n\s*\n/).forEach(chunk => {
+      if (!chunk.trim()) return;
+      const p = document.createElement('p');
+      p.textContent = chunk.trim();
+      text.appendChild(p);
+    });
+    if (typeof DM.openModal === 'function') DM.openModal(reader);
+  }
+
+  function renderCards() {
+    if (!grid) return;
+    grid.querySelectorAll('.article-card--saved').forEach(card => card.remove());
+    articles
+      .slice()
+      .sort((a, b) => String(b.created).localeCompare(String(a.created)))
+      .forEach(article => grid.appendChild(renderCard(article)));
+  }
+
+  function renderList() {
+    articleList.innerHTML = '';
+    if (!articles.length) {
+      const empty = document.createElement('li');
+      empty.className = 'admin-article-empty';
+      empty.textContent = 'Пока нет сохранённых статей';
+      articleList.appendChild(empty);
+      return;
+    }
+    articles.forEach(article => {
+      const item = document.createElement('li');
+      const title = document.createElement('span');
+      title.textContent = article.title;
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'btn btn-danger';
+      remove.textContent = 'Удалить';
+      remove.setAttribute('aria-label', `Удалить статью «${article.title}»`);
+      remove.addEventListener('click', () => removeArticle(article.id));
+      item.append(title, remove);
+      articleList.appendChild(item);
+    });
+  }
+
+  function refresh() {
+    return store.list().then(list => {
+      articles = Array.isArray(list) ? list : [];
+      renderCards();
+      if (!content.classList.contains('d-none')) renderList();
+    }).catch(err => showMessage(`Не удалось загрузить статьи: ${err.message}`, true));
+  }
+
+  function makeId() {
+    return window.crypto && typeof window.crypto.randomUUID === 'function'
+      ? window.crypto.randomUUID()
+      : `a${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  function addArticle(e) {
+    e.preventDefault();
+    if (!isAuthenticated()) return renderState();
+    const title = $('adminArticleTitle').value.trim();
+    const body = $('adminArticleBody').value.trim();
+    if (!title || !body) {
+      showMessage('Заполните название и текст статьи', true);
+      (title ? $('adminArticleBody') : $('adminArticleTitle')).focus();
+      return;
+    }
+    const article = {
+      id: makeId(),
+      title,
+      category: $('adminArticleCategory').value.trim(),
+      body,
+      created: new Date().toISOString()
+    };
+    store.save(article).then(() => {
+      articleForm.reset();
+      showMessage(`Статья «${title}» опубликована`);
+      return refresh();
+    }).catch(err => showMessage(`Не удалось сохранить статью: ${err.message}`, true));
+  }
+
+  function removeArticle(id) {
+    if (!isAuthenticated()) return renderState();
+    store.remove(id).then(refresh)
+      .catch(err => showMessage(`Не удалось удалить статью: ${err.message}`, true));
+  }
+
+  /* ---- События ---- */
+
+  openBtn.addEventListener('click', open);
+  $('closeAdmin').addEventListener('click', close);
+  $('logoutAdmin').addEventListener('click', logout);
+  loginForm.addEventListener('submit', login);
+  articleForm.addEventListener('submit', addArticle);
+  modal.addEventListener('click', e => { if (e.target === modal) close(); });
+  modal.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+
+  DM.admin = {
+    isAuthenticated,
+    hashPassword,
+    createLocalStore,
+    createRestStore,
+    getStore: () => store,
+    // Подключить другое хранилище (например, свой бэкенд) и перечитать статьи
+    setStore(next) {
+      store = next;
+      return refresh();
+    },
+    refresh
+  };
+
+  refresh();
+})();
+/* === Админ-панель: редактор записей каталога моделей === */
+(function () {
+  const DM = window.DM || {};
+  const editor = document.getElementById('adminModelEditor');
+  if (!editor || typeof DM.onCatalog !== 'function') return;
+
+  // Правки хранятся как { id: запись | null }, null — запись удалена
+  const EDITS_KEY = 'dm-catalog-edits';
+  const ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+  const SECTION_LABELS = { models: 'Модели', platforms: 'Платформы' };
+
+  // Повторяющиеся строки формы: карточки фактов, критерии оценки, ссылки
+  const ROWS = {
+    info: {
+      container: 'adminModelInfo',
+      fields: [
+        { key: 'icon', label: 'Иконка (класс Font Awesome)', placeholder: 'fas fa-info-circle' },
+        { key: 'title', label: 'Заголовок' },
+        { key: 'html', label: 'Текст, допускается простой HTML', multiline: true }
+      ]
+    },
+    rating: {
+      container: 'adminModelRating',
+      fields: [
+        { key: 'label', label: 'Критерий' },
+        { key: 'note', label: 'Пояснение' },
+        { key: 'score', label: 'Балл', type: 'number' }
+      ]
+    },
+    links: {
+      container: 'adminModelLinks',
+      fields: [
+        { key: 'label', label: 'Подпись' },
+        { key: 'url', label: 'Адрес', type: 'url' }
+      ]
+    }
+  };
+
+  const $ = id => document.getElementById(id);
+  const form = $('adminModelForm');
+  const select = $('adminModelSelect');
+  const preview = $('adminModelPreview');
+  const message = $('adminModelMessage');
+  const idInput = $('adminModelId');
+
+  const clone = value => JSON.parse(JSON.stringify(value));
+
+  let catalog = null;
+  let current = null;   // id редактируемой записи, null — новая запись
+  let base = {};        // исходная запись: поля вне формы (теги, details, вкладки) переносятся как есть
+  let previewFrame = 0;
+
+  /* ---- Сохранённые правки ---- */
+
+  function readEdits() {
+    try {
+      const edits = JSON.parse(localStorage.getItem(EDITS_KEY) || '{}');
+      return edits && typeof edits === 'object' ? edits : {};
+    } catch (_) {
+      return {};
+    }
+  }
+
+  function saveEdit(id, record) {
+    const edits = readEdits();
+    edits[id] = record;
+    try {
+      localStorage.setItem(EDITS_KEY, JSON.stringify(edits));
+    } catch (err) {
+      showMessage(`Правка применена, но не сохранена в браузере: ${err.message}`, true);
+    }
+  }
+
+  function showMessage(text, isError) {
+    message.textContent = text || '';
+    message.classList.toggle('is-error', !!isError);
+  }
+
+  /* ---- Запись из каталога ---- */
+
+  function recordFor(id) {
+    const record = clone((catalog && catalog.get(id)) || { id });
+    record.images = record.images || {};
+    return record;
+  }
+
+  /* ---- Форма ---- */
+
+  function addRow(kind, values) {
+    const config = ROWS[kind];
+    const row = document.createElement('div');
+    row.className = `admin-row admin-row--${kind}`;
+    config.fields.forEach(field => {
+      const input = document.createElement(field.multiline ? 'textarea' : 'input');
+      if (!field.multiline) input.type = field.type || 'text';
+      else input.rows = 2;
+      if (field.type === 'number') input.step = 'any';
+      input.className = 'form-control';
+      input.dataset.key = field.key;
+      input.placeholder = field.placeholder || field.label;
+      input.setAttribute('aria-label', field.label);
+      input.value = values && values[field.key] != null ? values[field.key] : '';
+      row.appendChild(input);
+    });
+    const remove = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'btn btn-secondary admin-row-remove';
+    remove.textContent = '×';
+    remove.setAttribute('aria-label', 'Удалить строку');
+    remove.addEventListener('click', () => {
+      row.remove();
+      schedulePreview();
+    });
+    row.appendChild(remove);
+    $(config.container).appendChild(row);
+    return row;
+  }
+
+  function readRows(kind) {
+    return Array.from($(ROWS[kind].container).querySelectorAll('.admin-row')).map(row => {
+      const item = {};
+      row.querySelectorAll('[data-key]').forEach(input => {
+        const value = input.value.trim();
+        if (value) item[input.dataset.key] = value;
+      });
+      return item;
+    }).filter(item => Object.keys(item).length);
+  }
+
+  function fillForm(record) {
+    form.reset();
+    Object.keys(ROWS).forEach(kind => { $(ROWS[kind].container).innerHTML = ''; });
+    const rating = record.rating || {};
+    idInput.value = record.id || '';
+    idInput.readOnly = current !== null;
+    $('adminModelName').value = record.name || '';
+    $('adminModelSection').value = record.section || 'models';
+    $('adminModelDeveloper').value = record.developer || '';
+    $('adminModelReleased').value = /^\d{4}-\d{2}-\d{2}$/.test(record.released || '') ? record.released : '';
+    $('adminModelWeights').value = record.weights || '';
+    $('adminModelSummary').value = record.summary || '';
+    $('adminModelBanner').value = (record.images || {}).banner || '';
+    $('adminModelScale').value = rating.scale || '';
+    $('adminModelOverall').value = rating.overall != null ? rating.overall : '';
+    (record.info || []).forEach(item => addRow('info', item));
+    (rating.criteria || []).forEach(item => addRow('rating', item));
+    (record.links || []).forEach(item => addRow('links', item));
+    $('adminModelDelete').disabled = current === null;
+    showMessage('');
+    schedulePreview();
+  }
+
+  function readForm() {
+    const record = clone(base);
+    const value = id => $(id).value.trim();
+    const assign = (key, v) => {
+      if (v === '' || v == null) delete record[key];
+      else record[key] = v;
+    };
+
+    record.id = value('adminModelId');
+    assign('name', value('adminModelName'));
+    record.section = value('adminModelSection');
+    assign('developer', value('adminModelDeveloper'));
+    assign('released', value('adminModelReleased'));
+    assign('weights', value('adminModelWeights'));
+    assign('summary', value('adminModelSummary'));
+
+    record.images = Object.assign({}, record.images);
+    if (value('adminModelBanner')) record.images.banner = value('adminModelBanner');
+    else delete record.images.banner;
+
+    const info = readRows('info');
+    assign('info', info.length ? info : null);
+    const links = readRows('links');
+    assign('links', links.length ? links : null);
+
+    const criteria = readRows('rating').map(c => Object.assign(c, { score: parseFloat(c.score) }));
+    if (criteria.length) {
+      const overall = parseFloat(value('adminModelOverall'));
+      record.rating = Object.assign(
+        { scale: parseFloat(value('adminModelScale')) || 5 },
+        isNaN(overall) ? {} : { overall },
+        { criteria }
+      );
+    } else {
+      delete record.rating;
+    }
+    return record;
+  }
+
+  function validate(record, isNew = current === null) {
+    if (!ID_PATTERN.test(record.id)) return 'Идентификатор: строчные латинские буквы, цифры и дефис';
+    if (isNew && listIds().includes(record.id)) return `Запись «${record.id}» уже существует`;
+    if (!record.name) return 'Укажите название';
+    const rating = record.rating;
+    if (rating) {
+      const bad = rating.criteria.find(c => !c.label || isNaN(c.score) || c.score < 0 || c.score > rating.scale);
+      if (bad) return `Критерий «${bad.label || 'без названия'}»: балл от 0 до ${rating.scale}`;
+      if (rating.overall != null && (rating.overall < 0 || rating.overall > rating.scale)) {
+        return `Общая оценка должна быть от 0 до ${rating.scale}`;
+      }
+    }
+    const link = (record.links || []).find(l => !l.label || !/^(https?:)?\/\/|^[./]/.test(l.url || ''));
+    if (link) return `Ссылка «${link.label || link.url}»: нужны подпись и адрес`;
+    return '';
+  }
+
+  const isText = value => typeof value === 'string';
+  const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+  const isList = (value, test) => value === undefined || (Array.isArray(value) && value.every(test));
+  const TEXT_FIELDS = ['id', 'name', 'title', 'section', 'developer', 'released', 'weights',
+    'summary', 'description', 'details'];
+
+  // Файл импорта и localStorage правит кто угодно: берём только то,
+  // что каталог умеет рисовать, и в ожидаемых типах
+  function shapeError(record) {
+    if (!isObject(record)) return 'запись должна быть объектом';
+    const field = TEXT_FIELDS.find(key => record[key] !== undefined && !isText(record[key]));
+    if (field) return `поле ${field} должно быть строкой`;
+    if (!isList(record.tags, isText) || !isList(record.modalities, isText)) {
+      return 'tags и modalities — списки строк';
+    }
+    if (record.images !== undefined && !(isObject(record.images) && Object.values(record.images).every(isText))) {
+      return 'images — объект со строками';
+    }
+    if (!isList(record.info, item => isObject(item) &&
+      ['icon', 'title', 'html'].every(key => item[key] === undefined || isText(item[key])))) {
+      return 'info — список { icon, title, html }';
+    }
+    if (!isList(record.tabs, tab => isObject(tab) && ID_PATTERN.test(tab.id || '') && isText(tab.label) && isText(tab.html))) {
+      return 'tabs — список { id, label, html }';
+    }
+    if (!isList(record.links, link => isObject(link) && isText(link.label) && isText(link.url))) {
+      return 'links — список { label, url }';
+    }
+    const rating = record.rating;
+    if (rating !== undefined && !(isObject(rating) && Array.isArray(rating.criteria) &&
+      rating.criteria.every(c => isObject(c) && isText(c.label) && typeof c.score === 'number'))) {
+      return 'rating — { scale, criteria: [{ label, score }] }';
+    }
+    return '';
+  }
+
+  // HTML из формы, импорта и localStorage проходит через белый список тегов
+  function cleanRecord(record) {
+    const copy = clone(record);
+    (copy.info || []).forEach(item => { item.html = DM.sanitizeHtml(item.html); });
+    if (copy.details !== undefined) copy.details = DM.sanitizeHtml(copy.details);
+    (copy.tabs || []).forEach(tab => { tab.html = DM.sanitizeHtml(tab.html); });
+    return copy;
+  }
+
+  /* ---- Предпросмотр ---- */
+
+  function renderPreview() {
+    previewFrame = 0;
+    const frame = catalog.preview(cleanRecord(readForm()));
+    // Префикс не даёт идентификаторам совпасть с настоящей модалкой
+    [frame].concat(Array.from(frame.querySelectorAll('[id], [aria-controls], [aria-labelledby]'))).forEach(el => {
+      ['id', 'aria-controls', 'aria-labelledby'].forEach(attr => {
+        if (el.hasAttribute(attr)) el.setAttribute(attr, `preview-${el.getAttribute(attr)}`);
+      });
+    });
+    ['role', 'aria-modal', 'style'].forEach(attr => frame.removeAttribute(attr));
+    frame.querySelectorAll('.close-modal, .modal-copy-link').forEach(btn => btn.remove());
+    preview.innerHTML = '';
+    preview.appendChild(frame);
+  }
+
+  function schedulePreview() {
+    if (!catalog || previewFrame) return;
+    previewFrame = requestAnimationFrame(renderPreview);
+  }
+
+  // Клик по «подложке» предпросмотра не должен закрывать его как модалку
+  preview.addEventListener('click', e => {
+    if (e.target.classList.contains('model-modal')) e.stopPropagation();
+  });
+
+  /* ---- Список записей ---- */
+
+  function listIds() {
+    return catalog ? catalog.models.map(m => m.id) : [];
+  }
+
+  // Скрытая форма входа — не защита: правки применяются только после входа
+  function authorized() {
+    if (DM.admin && DM.admin.isAuthenticated()) return true;
+    showMessage('Войдите в админ-панель, чтобы менять каталог', true);
+    return false;
+  }
+
+  function renderSelect() {
+    select.innerHTML = '';
+    const groups = {};
+    listIds().forEach(id => {
+      const record = recordFor(id);
+      const section = record.section || 'models';
+      if (!groups[section]) {
+        groups[section] = document.createElement('optgroup');
+        groups[section].label = SECTION_LABELS[section] || section;
+        select.appendChild(groups[section]);
+      }
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = record.name ? `${record.name} (${id})` : id;
+      groups[section].appendChild(option);
+    });
+    if (current !== null) select.value = current;
+  }
+
+  function edit(id) {
+    current = id;
+    base = id === null ? { id: '', section: 'models' } : recordFor(id);
+    if (id !== null) select.value = id;
+    fillForm(base);
+  }
+
+  /* ---- Применение, удаление, импорт и экспорт ---- */
+
+  function apply(e) {
+    e.preventDefault();
+    if (!authorized()) return;
+    const record = cleanRecord(readForm());
+    const error = validate(record);
+    if (error) {
+      showMessage(error, true);
+      return;
+    }
+    catalog.upsert(record);
+    saveEdit(record.id, record);
+    current = record.id;
+    base = clone(record);
+    renderSelect();
+    idInput.readOnly = true;
+    $('adminModelDelete').disabled = false;
+    showMessage(`«${record.name}» обновлена на странице. Чтобы перенести правки в models.json, сделайте экспорт.`);
+  }
+
+  function removeCurrent() {
+    if (current === null || !authorized()) return;
+    const name = $('adminModelName').value || current;
+    if (!window.confirm(`Удалить «${name}» из каталога?`)) return;
+    catalog.remove(current);
+    saveEdit(current, null);
+    const ids = listIds();
+    current = null;
+    renderSelect();
+    if (ids.length) edit(ids[0]);
+    else edit(null);
+    showMessage(`«${name}» удалена`);
+  }
+
+  function exportCatalog() {
+    const models = listIds().map(id => clone(catalog.get(id)));
+    const blob = new Blob([`${JSON.stringify({ version: 1, models }, null, 2)}\n`], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'models.json';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    showMessage(`Экспортировано записей: ${models.length}`);
+  }
+
+  function importCatalog(file) {
+    if (!authorized()) return;
+    file.text().then(text => {
+      const data = JSON.parse(text);
+      const models = data && Array.isArray(data.models) ? data.models : null;
+      if (!models) throw new Error('ожидается объект вида { "models": [...] }');
+      models.forEach((model, i) => {
+        const error = shapeError(model) || validate(model, false);
+        const label = isObject(model) && isText(model.id) ? model.id : `№${i + 1}`;
+        if (error) throw new Error(`запись ${label}: ${error}`);
+      });
+      const seen = new Set();
+      const twice = models.find(m => seen.size === seen.add(m.id).size);
+      if (twice) throw new Error(`запись ${twice.id} встречается дважды`);
+
+      // Удаляем только записи каталога, которых нет в файле, и только с согласия
+      const incoming = new Set(models.map(m => m.id));
+      const missing = listIds().filter(id => !incoming.has(id));
+      const names = missing.map(id => `«${catalog.get(id).name || id}»`).join(', ');
+      const removing = missing.length > 0 && window.confirm(
+        `В файле нет записей: ${names}. Удалить их из каталога? «Отмена» — импортировать без удаления.`);
+      if (removing) {
+        missing.forEach(id => {
+          catalog.remove(id);
+          saveEdit(id, null);
+        });
+      }
+      models.map(cleanRecord).forEach(model => {
+        catalog.upsert(model);
+        saveEdit(model.id, model);
+      });
+      current = null;
+      renderSelect();
+      edit(models.length ? models[0].id : null);
+      showMessage(`Импортировано записей: ${models.length}` +
+        (removing ? `, удалено: ${missing.length}` : ''));
+    }).catch(err => showMessage(`Импорт не выполнен: ${err.message}`, true));
+  }
+
+  function resetEdits() {
+    if (!authorized()) return;
+    if (!window.confirm('Сбросить все правки каталога и перезагрузить страницу?')) return;
+    try {
+      localStorage.removeItem(EDITS_KEY);
+    } catch (_) { /* нечего сбрасывать */ }
+    location.reload();
+  }
+
+  /* ---- Инициализация ---- */
+
+  form.addEventListener('input', schedulePreview);
+  form.addEventListener('change', schedulePreview);
+  form.addEventListener('submit', apply);
+  select.addEventListener('change', () => edit(select.value));
+  $('adminModelNew').addEventListener('click', () => {
+    edit(null);
+    select.selectedIndex = -1;
+    idInput.focus();
+  });
+  $('adminModelAddInfo').addEventListener('click', () => addRow('info').querySelector('input').focus());
+  $('adminModelAddCriterion').addEventListener('click', () => addRow('rating').querySelector('input').focus());
+  $('adminModelAddLink').addEventListener('click', () => addRow('links').querySelector('input').focus());
+  $('adminModelDelete').addEventListener('click', removeCurrent);
+  $('adminModelExport').addEventListener('click', exportCatalog);
+  $('adminModelImport').addEventListener('change', e => {
+    const file = e.target.files && e.target.files[0];
+    if (file) importCatalog(file);
+    e.target.value = '';
+  });
+  $('adminModelReset').addEventListener('click', resetEdits);
+
+  DM.onCatalog(data => {
+    catalog = data;
+    // Правки, сделанные раньше в этом браузере, применяем поверх каталога
+    const edits = readEdits();
+    Object.keys(edits).forEach(id => {
+      if (!ID_PATTERN.test(id)) return;
+      const record = edits[id];
+      if (record === null) catalog.remove(id);
+      else if (!shapeError(record) && record.id === id) catalog.upsert(cleanRecord(record));
+    });
+    renderSelect();
+    const ids = listIds();
+    if (ids.length) edit(ids[0]);
+  });
+})();
+/* === Глубокие ссылки на модалки: #model=<id>&tab=<вкладка> === */
+(function () {
+  const DM = window.DM || {};
+  if (typeof DM.onCatalog !== 'function' || typeof DM.openModal !== 'function') return;
+
+  const COPY_LABEL = 'Скопировать ссылку на модель';
+  let ready = false;
+  let syncing = false;   // пока применяем адрес сами, историю не трогаем
+
+  function parseHash(hash) {
+    const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+    const model = params.get('model');
+    return model ? { model, tab: params.get('tab') || '' } : null;
+  }
+
+  function buildHash(model, tab) {
+    const params = new URLSearchParams({ model });
+    if (tab) params.set('tab', tab);
+    return `#${params}`;
+  }
+
+  // Модалка модели — та, у которой есть карточка или запись в каталоге
+  // (сравнение, читалка статей и предпросмотр в админке не в счёт)
+  function modelIdOf(modal) {
+    const m = modal && modal.id && modal.id.match(/^(.+)-modal$/);
+    if (!m) return null;
+    const id = m[1];
+    const known = document.querySelector(`.model-card[data-model="${id}"]`) ||
+      (DM.catalog && DM.catalog.get(id));
+    return known ? id : null;
+  }
+
+  function activeTab(modal, id) {
+    const tabs = modal.querySelectorAll('.modal-tabs [role="tab"]');
+    const active = Array.from(tabs).find(tab => tab.getAttribute('aria-selected') === 'true');
+    // Первая вкладка открывается по умолчанию, в адресе её не пишем
+    if (!active || active === tabs[0]) return '';
+    return active.id.replace(`${id}-tab-`, '').replace(/-btn$/, '');
+  }
+
+  function selectTab(modal, id, tab) {
+    const button = (tab && document.getElementById(`${id}-tab-${tab}-btn`)) ||
+      modal.querySelector('.modal-tabs [role="tab"]');
+    if (button && modal.contains(button) && button.getAttribute('aria-selected') !== 'true') {
+      DM.tabs.select(button);
+    }
+  }
+
+  function openModelModal() {
+    return Array.from(document.querySelectorAll('.model-modal[aria-hidden="false"]')).find(modelIdOf) || null;
+  }
+
+  function applyRoute() {
+    if (!ready) return;
+    const route = parseHash(location.hash);
+    const open = openModelModal();
+    syncing = true;
+    try {
+      if (!route) {
+        if (open) DM.closeModal(open);
+        return;
+      }
+      const modal = document.getElementById(`${route.model}-modal`);
+      if (!modelIdOf(modal)) return;
+      if (open && open !== modal) DM.closeModal(open);
+      if (open !== modal) DM.openModal(modal);
+      selectTab(modal, route.model, route.tab);
+    } finally {
+      syncing = false;
+    }
+  }
+
+  const pageUrl = () => `${location.pathname}${location.search}`;
+
+  function remember(id, hash) {
+    if (location.hash === hash) return;
+    // Переход между моделями не плодит записи в истории
+    const method = parseHash(location.hash) ? 'replaceState' : 'pushState';
+    history[method]({ dmModel: id }, '', `${pageUrl()}${hash}`);
+  }
+
+  // Открыть модель через адрес: поиск и другие модули не зовут openModal сами
+  function navigate(id, tab) {
+    if (!ready || !modelIdOf(document.getElementById(`${id}-modal`))) return false;
+    remember(id, buildHash(id, tab));
+    applyRoute();
+    return true;
+  }
+
+  document.addEventListener('dm:modal-open', e => {
+    const id = modelIdOf(e.target);
+    if (syncing || !id) return;
+    remember(id, buildHash(id, activeTab(e.target, id)));
+  });
+
+  document.addEventListener('dm:modal-close', e => {
+    const id = modelIdOf(e.target);
+    const route = parseHash(location.hash);
+    if (syncing || !id || !route || route.model !== id) return;
+    // Открывали сами — возвращаемся назад, пришли по ссылке — просто чистим адрес
+    if (history.state && history.state.dmModel === id) history.back();
+    else history.replaceState(null, '', pageUrl());
+  });
+
+  document.addEventListener('dm:tab-change', e => {
+    const modal = e.target.closest('.model-modal');
+    const id = modelIdOf(modal);
+    const route = parseHash(location.hash);
+    if (syncing || !id || !route || route.model !== id) return;
+    history.replaceState(history.state, '', `${pageUrl()}${buildHash(id, activeTab(modal, id))}`);
+  });
+
+  window.addEventListener('popstate', applyRoute);
+  window.addEventListener('hashchange', applyRoute);
+
+  DM.router = { navigate };
+
+  /* ---- Кнопка «скопировать ссылку» в шапке модалки ---- */
+
+  function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+    return new Promise((resolve, reject) => {
+      const ta = document.createElement('textarea');
+      ta.value = text;
+      document.body.appendChild(ta);
+      ta.select();
+      const ok = (() => { try { return document.execCommand('copy'); } catch (_) { return false; } })();
+      ta.remove();
+      if (ok) resolve(); else reject(new Error('copy failed'));
+    });
+  }
+
+  function addCopyButton(modal) {
+    const id = modelIdOf(modal);
+    const header = modal && modal.querySelector('.model-modal-header');
+    if (!id || !header || header.querySelector('.modal-copy-link')) return;
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn-icon modal-copy-link';
+    button.title = COPY_LABEL;
+    button.setAttribute('aria-label', COPY_LABEL);
+    button.innerHTML = '<i class="fas fa-link" aria-hidden="true"></i>';
+    button.addEventListener('click', () => {
+      const base = location.href.split('#')[0].split('?')[0];
+      copyText(`${base}${buildHash(id, activeTab(modal, id))}`).then(() => {
+        button.classList.add('copied');
+        button.setAttribute('aria-label', 'Ссылка скопирована');
+        setTimeout(() => {
+          button.classList.remove('copied');
+          button.setAttribute('aria-label', COPY_LABEL);
+        }, 1400);
+      }).catch(() => {});
+    });
+    header.insertBefore(button, header.querySelector(':scope > .close-modal'));
+  }
+
+  DM.onCatalog(() => {
+    document.querySelectorAll('.model-modal[id$="-modal"]').forEach(addCopyButton);
+    ready = true;
+    applyRoute();
+  });
+
+  // Отрисованные заново модалки (правки из админки) получают кнопку снова
+  document.addEventListener('dm:catalog-change', e => {
+    addCopyButton(document.getElementById(`${e.detail.id}-modal`));
+  });
+})();
+
+/* === Графики бенчмарков: столбцы и радар из benchmarks.json === */
+(function () {
+  const DM = window.DM = window.DM || {};
+  const BENCHMARKS_URL = 'benchmarks.json';
+  const NO_DATA = 'нет данных';
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  // Цвета серий по порядку моделей в data-models
+  const PALETTE = ['#6b61ff', '#00c2a8', '#ffb020', '#ff5c8a', '#4fa3ff', '#a3e635', '#c084fc', '#f97316'];
+
+  const list = value => String(value || '').split(/[\s,]+/).filter(Boolean);
+  const format = (value, unit) =>
+    `${Number(value).toLocaleString('ru-RU', { maximumFractionDigits: 1 })}${unit}`;
+
+  function svg(tag, attrs, parent) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.keys(attrs || {}).forEach(key => el.setAttribute(key, attrs[key]));
+    if (parent) parent.appendChild(el);
+    return el;
+  }
+
+  function text(x, y, content, attrs, parent) {
+    const el = svg('text', Object.assign({ x, y }, attrs), parent);
+    el.textContent = content;
+    return el;
+  }
+
+  // Точка графика с подсказкой: <title> для скринридеров и data-* для всплывашки
+  function describe(el, model, benchmark, value, unit) {
+    const label = `${model.name} — ${benchmark.name}: ${format(value, unit)}`;
+    el.setAttribute('data-tip', label);
+    svg('title', {}, el).textContent = label;
+    return el;
+  }
+
+  /* ---- Столбцы ---- */
+
+  function renderBars(state) {
+    const { benchmarks, unit } = state;
+    const models = state.models.filter(m => state.visible.has(m.id));
+    const W = 640, H = 320;
+    const pad = { top: 16, right: 12, bottom: 56, left: 44 };
+    const plotW = W - pad.left - pad.right;
+    const plotH = H - pad.top - pad.bottom;
+    const root = svg('svg', { viewBox: `0 0 ${W} ${H}`, class: 'benchmark-chart__svg' });
+    const y = value => pad.top + plotH * (1 - value / state.max);
+
+    [0, 25, 50, 75, 100].filter(v => v <= state.max).forEach(v => {
+      svg('line', { x1: pad.left, x2: W - pad.right, y1: y(v), y2: y(v), class: 'benchmark-chart__grid' }, root);
+      text(pad.left - 6, y(v) + 4, format(v, unit), { class: 'benchmark-chart__tick', 'text-anchor': 'end' }, root);
+    });
+
+    const groupW = plotW / benchmarks.length;
+    const barW = groupW * 0.8 / Math.max(1, models.length);
+    benchmarks.forEach((benchmark, i) => {
+      const x0 = pad.left + groupW * i + groupW * 0.1;
+      models.forEach((model, k) => {
+        const value = model.scores[benchmark.id];
+        if (typeof value !== 'number') return;
+        const bar = svg('rect', {
+          x: x0 + barW * k,
+          y: y(value),
+          width: Math.max(1, barW - 2),
+          height: pad.top + plotH - y(value),
+          rx: 2,
+          class: 'benchmark-chart__bar',
+          style: `--series: ${state.colors.get(model.id)}`
+        }, root);
+        describe(bar, model, benchmark, value, unit);
+      });
+      text(pad.left + groupW * (i + 0.5), H - pad.bottom + 18, benchmark.short || benchmark.name,
+        { class: 'benchmark-chart__label', 'text-anchor': 'middle' }, root);
+    });
+    return root;
+  }
+
+  /* ---- Радар ---- */
+
+  function renderRadar(state) {
+    const { benchmarks, unit } = state;
+    const models = state.models.filter(m => state.visible.has(m.id));
+    const S = 420, c = S / 2, R = 140;
+    const root = svg('svg', { viewBox: `0 0 ${S} ${S}`, class: 'benchmark-chart__svg benchmark-chart__svg--radar' });
+    const angle = i => -Math.PI / 2 + 2 * Math.PI * i / benchmarks.length;
+    const point = (i, value) => {
+      const r = R * value / state.max;
+      return [c + r * Math.cos(angle(i)), c + r * Math.sin(angle(i))];
+    };
+
+    [25, 50, 75, 100].filter(v => v <= state.max).forEach(v => {
+      const ring = benchmarks.map((_, i) => point(i, v).join(',')).join(' ');
+      svg('polygon', { points: ring, class: 'benchmark-chart__grid' }, root);
+      text(c + 4, c - R * v / state.max + 12, format(v, unit), { class: 'benchmark-chart__tick' }, root);
+    });
+    benchmarks.forEach((benchmark, i) => {
+      const [x, y] = point(i, state.max);
+      svg('line', { x1: c, y1: c, x2: x, y2: y, class: 'benchmark-chart__grid' }, root);
+      const [lx, ly] = point(i, state.max * 1.14);
+      const anchor = Math.abs(lx - c) < 8 ? 'middle' : (lx > c ? 'start' : 'end');
+      text(lx, ly + 4, benchmark.short || benchmark.name,
+        { class: 'benchmark-chart__label', 'text-anchor': anchor }, root);
+    });
+
+    // Пропущенные значения не рисуются нулём: многоугольник идёт через известные
+    models.forEach(model => {
+      const style = `--series: ${state.colors.get(model.id)}`;
+      const known = benchmarks
+        .map((benchmark, i) => ({ benchmark, i, value: model.scores[benchmark.id] }))
+        .filter(p => typeof p.value === 'number');
+      if (!known.length) return;
+      svg('polygon', {
+        points: known.map(p => point(p.i, p.value).join(',')).join(' '),
+        class: 'benchmark-chart__area',
+        style
+      }, root);
+      known.forEach(p => {
+        const [x, y] = point(p.i, p.value);
+        describe(svg('circle', { cx: x, cy: y, r: 4.5, class: 'benchmark-chart__dot', style }, root),
+          model, p.benchmark, p.value, unit);
+      });
+    });
+    return root;
+  }
+
+  /* ---- Легенда, таблица, подсказка ---- */
+
+  // Переключатели моделей: наложение нескольких серий на один график
+  function renderLegend(state, redraw) {
+    const legend = document.createElement('div');
+    legend.className = 'benchmark-chart__legend';
+    legend.setAttribute('role', 'group');
+    legend.setAttribute('aria-label', 'Модели на графике');
+    state.models.forEach(model => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'benchmark-chart__toggle';
+      btn.style.setProperty('--series', state.colors.get(model.id));
+      btn.textContent = model.name;
+      btn.setAttribute('aria-pressed', String(state.visible.has(model.id)));
+      btn.addEventListener('click', () => {
+        const on = state.visible.has(model.id);
+        // Последнюю видимую модель не выключаем — пустой график бессмыслен
+        if (on && state.visible.size === 1) return;
+        if (on) state.visible.delete(model.id);
+        else state.visible.add(model.id);
+        btn.setAttribute('aria-pressed', String(!on));
+        redraw();
+      });
+      legend.appendChild(btn);
+    });
+    return legend;
+  }
+
+  function renderTable(state, captionText) {
+    const details = document.createElement('details');
+    details.className = 'benchmark-chart__data';
+    const summary = document.createElement('summary');
+    summary.textContent = 'Таблица значений';
+    const wrap = document.createElement('div');
+    wrap.className = 'table-responsive';
+    const table = document.createElement('table');
+    table.className = 'benchmark-chart__table';
+    if (captionText) table.createCaption().textContent = captionText;
+
+    const head = table.createTHead().insertRow();
+    const corner = document.createElement('th');
+    corner.scope = 'col';
+    corner.textContent = 'Бенчмарк';
+    head.appendChild(corner);
+    // Неизвестные id остаются в таблице столбцами и строками «нет данных»
+    const columns = state.models.concat(state.missing.models.map(id => ({ id, name: id, scores: null })));
+    columns.forEach(model => {
+      const th = document.createElement('th');
+      th.scope = 'col';
+      th.textContent = model.name;
+      head.appendChild(th);
+    });
+    const body = table.createTBody();
+    const addRow = title => {
+      const row = body.insertRow();
+      const th = document.createElement('th');
+      th.scope = 'row';
+      th.textContent = title;
+      row.appendChild(th);
+      return row;
+    };
+    state.benchmarks.forEach(benchmark => {
+      const row = addRow(benchmark.name);
+      columns.forEach(model => {
+        const value = model.scores ? model.scores[benchmark.id] : null;
+        row.insertCell().textContent = !model.scores ? NO_DATA
+          : typeof value === 'number' ? format(value, state.unit) : '—';
+      });
+    });
+    state.missing.benchmarks.forEach(id => {
+      const cell = addRow(id).insertCell();
+      cell.colSpan = Math.max(1, columns.length);
+      cell.textContent = NO_DATA;
+    });
+    wrap.appendChild(table);
+    details.append(summary, wrap);
+    return details;
+  }
+
+  function bindTooltip(plot) {
+    const tip = document.createElement('div');
+    tip.className = 'benchmark-chart__tip';
+    tip.setAttribute('aria-hidden', 'true');
+    tip.hidden = true;
+    plot.appendChild(tip);
+
+    plot.addEventListener('pointermove', e => {
+      const target = e.target.closest && e.target.closest('[data-tip]');
+      plot.querySelectorAll('.is-active').forEach(el => el.classList.remove('is-active'));
+      if (!target) {
+        tip.hidden = true;
+        return;
+      }
+      target.classList.add('is-active');
+      tip.textContent = target.getAttribute('data-tip');
+      tip.hidden = false;
+      const box = plot.getBoundingClientRect();
+      const x = Math.min(e.clientX - box.left + 12, box.width - tip.offsetWidth - 4);
+      tip.style.left = `${Math.max(4, x)}px`;
+      tip.style.top = `${Math.max(4, e.clientY - box.top - tip.offsetHeight - 10)}px`;
+    });
+    plot.addEventListener('pointerleave', () => {
+      tip.hidden = true;
+      plot.querySelectorAll('.is-active').forEach(el => el.classList.remove('is-active'));
+    });
+  }
+
+  /* ---- Сборка ---- */
+
+  // <figure data-benchmark-chart="bar|radar" data-models="id id" data-benchmarks="id id">
+  function build(figure, data) {
+    const type = figure.getAttribute('data-benchmark-chart') === 'radar' ? 'radar' : 'bar';
+    const byId = new Map(data.models.map(m => [m.id, m]));
+    const benchmarkById = new Map(data.benchmarks.map(b => [b.id, b]));
+    const modelIds = list(figure.getAttribute('data-models'));
+    const models = modelIds.filter(id => byId.has(id)).map(id => byId.get(id));
+    const wanted = list(figure.getAttribute('data-benchmarks'));
+    const benchmarks = wanted.length
+      ? wanted.filter(id => benchmarkById.has(id)).map(id => benchmarkById.get(id))
+      : data.benchmarks.filter(b => models.some(m => typeof m.scores[b.id] === 'number'));
+    const missing = {
+      models: modelIds.filter(id => !byId.has(id)),
+      benchmarks: wanted.filter(id => !benchmarkById.has(id))
+    };
+
+    const initial = list(figure.getAttribute('data-visible')).filter(id => byId.has(id));
+    const state = {
+      models,
+      benchmarks,
+      missing,
+      unit: data.unit || '',
+      max: Number(figure.getAttribute('data-max')) || 100,
+      colors: new Map(models.map((m, i) => [m.id, PALETTE[i % PALETTE.length]])),
+      visible: new Set(initial.length ? initial : models.map(m => m.id))
+    };
+
+    const caption = figure.querySelector('figcaption');
+    const captionText = caption ? caption.textContent.replace(/\s+/g, ' ').trim() : '';
+    const plot = document.createElement('div');
+    plot.className = 'benchmark-chart__plot';
+    const redraw = () => {
+      if (!models.length || !benchmarks.length) return;
+      const chart = type === 'radar' ? renderRadar(state) : renderBars(state);
+      chart.setAttribute('role', 'img');
+      chart.setAttribute('aria-label', `${captionText || 'График бенчмарков'}. Значения — в таблице ниже.`);
+      const old = plot.querySelector('svg');
+      if (old) old.replaceWith(chart);
+      else plot.prepend(chart);
+    };
+    redraw();
+    bindTooltip(plot);
+
+    figure.querySelectorAll('.benchmark-chart__plot, .benchmark-chart__legend, .benchmark-chart__data, .benchmark-chart__status')
+      .forEach(el => el.remove());
+    const nodes = [plot];
+    if (models.length > 1) nodes.unshift(renderLegend(state, redraw));
+    const unknown = missing.models.concat(missing.benchmarks);
+    if (unknown.length || !models.length || !benchmarks.length) {
+      nodes.unshift(status(unknown.length
+        ? `Нет данных в ${BENCHMARKS_URL}: ${unknown.join(', ')}.`
+        : 'Нет данных для графика.'));
+    }
+    nodes.push(renderTable(state, captionText));
+    if (caption) nodes.forEach(node => figure.insertBefore(node, caption));
+    else figure.append(...nodes);
+    figure.classList.add('is-rendered');
+  }
+
+  function status(message) {
+    const el = document.createElement('p');
+    el.className = 'benchmark-chart__status';
+    el.textContent = message;
+    return el;
+  }
+
+  function showError(figure, message = 'Не удалось загрузить данные бенчмарков.') {
+    if (figure.querySelector('.benchmark-chart__status')) return;
+    figure.prepend(status(message));
+  }
+
+  // Данные грузятся один раз и только если на странице есть графики
+  let loading = null;
+  function load() {
+    if (!loading) {
+      loading = fetch(BENCHMARKS_URL)
+        .then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        })
+        .then(data => {
+          DM.benchmarks = {
+            unit: data.unit,
+            benchmarks: Array.isArray(data.benchmarks) ? data.benchmarks : [],
+            models: (Array.isArray(data.models) ? data.models : []).map(m => Object.assign({ scores: {} }, m))
+          };
+          return DM.benchmarks;
+        });
+    }
+    return loading;
+  }
+
+  function renderAll(root) {
+    const charts = Array.from((root || document).querySelectorAll('[data-benchmark-chart]:not(.is-rendered)'));
+    if (!charts.length) return;
+    load().then(data => charts.forEach(figure => {
+      // Ошибка в разметке одного графика не должна гасить остальные
+      try {
+        build(figure, data);
+      } catch (_) {
+        showError(figure, 'Не удалось построить график.');
+      }
+    }), () => charts.forEach(figure => showError(figure)));
+  }
+
+  // Графики живут в модалках из models.json: ждём каталог и перерисовываем
+  // модалку, которую заменила правка из админки
+  if (typeof DM.onCatalog === 'function') {
+    DM.onCatalog(() => renderAll());
+    document.addEventListener('dm:catalog-change', e => {
+      const modal = document.getElementById(`${e.detail.id}-modal`);
+      if (modal) renderAll(modal);
+    });
+  } else {
+    renderAll();
+  }
+})();